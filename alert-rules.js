@@ -0,0 +1,194 @@
+// User-defined alert rules, evaluated after every poll of the PVS.
+// A rule is { id, name, type, consecutivePolls, ...settings } where type is one of AlertRules.types.
+// A rule fires once its condition has held for consecutivePolls polls in a row, and then stays
+// active (without firing again) until the condition clears. Active alerts can be acknowledged,
+// which hides them until they clear, or snoozed, which closes them and stops the rule from
+// firing again until the snooze ends. Fired alerts and snoozes are kept in localStorage.
+class AlertRules {
+    constructor(options = {}) {
+        this.rules = (options.rules || []).filter(rule => {
+            if (!AlertRules.types[rule.type]) {
+                console.warn(`Ignoring alert rule "${rule.name || rule.id}": unknown type "${rule.type}"`);
+                return false;
+            }
+            return true;
+        }).map((rule, index) => ({ ...rule, id: rule.id || `rule-${index + 1}`, name: rule.name || rule.type }));
+        this.logLimit = options.logLimit || 100;
+        this.storageKey = options.storageKey || 'solarPaneler.alerts';
+        this.storage = options.storage !== undefined ? options.storage : window.localStorage;
+        this.streaks = {}; // rule id -> consecutive polls the condition has held
+
+        const saved = this.read();
+        this.log = saved.log;         // newest first
+        this.snoozes = saved.snoozes; // rule id -> snoozed until (ms)
+    }
+
+    // Condition checks. check(rule, poll) returns a message when the condition holds, null when it
+    // doesn't, or undefined when this poll says nothing about it (e.g. no data because the poll failed).
+    // poll is { timestamp, ok, error, inverters: [DeviceList records], totalPower (W) }.
+    static get types() {
+        const number = (device, field) => parseFloat(device[field]);
+        const serialList = (devices) => {
+            const serials = devices.map(device => device.SERIAL);
+            return serials.length > 3 ? `${serials.slice(0, 3).join(', ')} and ${serials.length - 3} more` : serials.join(', ');
+        };
+        const minutesOfDay = (text) => {
+            const [hours, minutes] = String(text).split(':').map(Number);
+            return hours * 60 + (minutes || 0);
+        };
+
+        return {
+            // Any inverter whose STATE or STATEDESCR is one of states, e.g. ['error']
+            inverterState: {
+                label: 'Inverter state',
+                check: (rule, poll) => {
+                    if (!poll.ok) return undefined;
+                    const states = (rule.states || ['error']).map(state => String(state).toLowerCase());
+                    const matching = poll.inverters.filter(device =>
+                        states.includes(String(device.STATE || '').toLowerCase()) ||
+                        states.includes(String(device.STATEDESCR || '').toLowerCase()));
+                    return matching.length > 0 ? `${serialList(matching)} reporting ${states.join('/')}` : null;
+                }
+            },
+            // Whole-array output below watts, optionally only between from and to (local 'HH:MM')
+            totalPowerBelow: {
+                label: 'Total production below',
+                check: (rule, poll) => {
+                    if (!poll.ok) return undefined;
+                    if (rule.from && rule.to) {
+                        const date = new Date(poll.timestamp);
+                        const now = date.getHours() * 60 + date.getMinutes();
+                        if (now < minutesOfDay(rule.from) || now >= minutesOfDay(rule.to)) {
+                            return null;
+                        }
+                    }
+                    return poll.totalPower < rule.watts
+                        ? `Array producing ${PowerCharts.formatPower(poll.totalPower)}, below ${PowerCharts.formatPower(rule.watts)}`
+                        : null;
+                }
+            },
+            // The PVS couldn't be reached (or returned an error)
+            pollFailed: {
+                label: 'PVS unreachable',
+                check: (rule, poll) => (poll.ok ? null : `PVS unreachable: ${poll.error || 'no response'}`)
+            },
+            // Any inverter heatsink hotter than celsius
+            heatsinkAbove: {
+                label: 'Heatsink temperature above',
+                check: (rule, poll) => {
+                    if (!poll.ok) return undefined;
+                    const hot = poll.inverters.filter(device => number(device, 't_htsnk_degc') > rule.celsius);
+                    if (hot.length === 0) return null;
+                    const hottest = Math.max(...hot.map(device => number(device, 't_htsnk_degc')));
+                    return `${serialList(hot)} above ${rule.celsius}°C (hottest ${hottest.toFixed(0)}°C)`;
+                }
+            }
+        };
+    }
+
+    read() {
+        if (!this.storage) {
+            return { log: [], snoozes: {} };
+        }
+        try {
+            const data = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            return { log: data.log || [], snoozes: data.snoozes || {} };
+        } catch (error) {
+            console.warn('Ignoring unreadable saved alerts:', error);
+            return { log: [], snoozes: {} };
+        }
+    }
+
+    write() {
+        if (this.storage) {
+            this.storage.setItem(this.storageKey, JSON.stringify({ log: this.log, snoozes: this.snoozes }));
+        }
+    }
+
+    // The open alert for a rule: fired, not yet cleared or snoozed
+    findActive(ruleId) {
+        return this.log.find(alert => alert.ruleId === ruleId && !alert.clearedAt && !alert.snoozed) || null;
+    }
+
+    // Evaluate every rule against one poll. Returns the alerts that fired on this poll.
+    evaluate(poll) {
+        const fired = [];
+        const types = AlertRules.types;
+
+        this.rules.forEach(rule => {
+            if (this.snoozes[rule.id] > poll.timestamp) {
+                return;
+            }
+            delete this.snoozes[rule.id];
+
+            const message = types[rule.type].check(rule, poll);
+            if (message === undefined) {
+                return;
+            }
+
+            const active = this.findActive(rule.id);
+            if (message === null) {
+                delete this.streaks[rule.id];
+                if (active) {
+                    active.clearedAt = poll.timestamp;
+                }
+                return;
+            }
+
+            this.streaks[rule.id] = (this.streaks[rule.id] || 0) + 1;
+            if (active) {
+                active.message = message;
+                return;
+            }
+            if (this.streaks[rule.id] < (rule.consecutivePolls || 1)) {
+                return;
+            }
+
+            const alert = {
+                id: `${rule.id}-${poll.timestamp}`,
+                ruleId: rule.id,
+                name: rule.name,
+                message: message,
+                firedAt: poll.timestamp,
+                clearedAt: null,
+                acknowledged: false,
+                snoozed: false
+            };
+            this.log.unshift(alert);
+            fired.push(alert);
+        });
+
+        this.log = this.log.slice(0, this.logLimit);
+        this.write();
+        return fired;
+    }
+
+    // Alerts to show in the banner: active and not acknowledged
+    getUnacknowledged() {
+        return this.log.filter(alert => !alert.clearedAt && !alert.snoozed && !alert.acknowledged);
+    }
+
+    acknowledge(alertId) {
+        const alert = this.log.find(entry => entry.id === alertId);
+        if (alert) {
+            alert.acknowledged = true;
+            this.write();
+        }
+    }
+
+    // Close the alert and keep its rule quiet for the given time
+    snooze(alertId, minutes, now = Date.now()) {
+        const alert = this.log.find(entry => entry.id === alertId);
+        if (!alert) return;
+        alert.snoozed = true;
+        this.snoozes[alert.ruleId] = now + minutes * 60000;
+        delete this.streaks[alert.ruleId];
+        this.write();
+    }
+
+    clearLog() {
+        // Open alerts stay so they aren't fired again straight away
+        this.log = this.log.filter(alert => !alert.clearedAt && !alert.snoozed);
+        this.write();
+    }
+}
@@ -0,0 +1,118 @@
+// Flags underperforming panels by comparing each panel's output with its peers at every poll.
+// Peers are either the panels with the same planeRotation or the nearest panels in the layout.
+// A panel is flagged once it has been too far below the peer median for several polls in a row.
+// When every panel comes with an expected output (from the solar model), panels are compared by
+// actual/expected instead of raw watts, so peers on differently oriented roof faces still compare.
+class AnomalyDetector {
+    constructor(options = {}) {
+        this.thresholdPercent = options.thresholdPercent !== undefined ? options.thresholdPercent : 25;
+        this.consecutivePolls = options.consecutivePolls || 3;
+        this.peerMode = options.peerMode || 'rotation'; // 'rotation' or 'nearby'
+        this.neighbourCount = options.neighbourCount || 6;
+        this.minPeerPower = options.minPeerPower !== undefined ? options.minPeerPower : 20; // W
+        this.streaks = {}; // panel id -> consecutive polls below the threshold
+        this.issues = {};  // panel id -> issue details
+    }
+
+    static median(values) {
+        if (values.length === 0) {
+            return 0;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    }
+
+    // Peers for one panel out of the panels that reported data this poll
+    findPeers(panel, reporting) {
+        const others = reporting.filter(entry => entry.panel !== panel);
+
+        if (this.peerMode === 'nearby') {
+            const centerX = panel.x + panel.width / 2;
+            const centerY = panel.y + panel.height / 2;
+            return others
+                .map(entry => ({
+                    entry: entry,
+                    distance: Math.hypot(
+                        entry.panel.x + entry.panel.width / 2 - centerX,
+                        entry.panel.y + entry.panel.height / 2 - centerY
+                    )
+                }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, this.neighbourCount)
+                .map(item => item.entry);
+        }
+
+        return others.filter(entry => (entry.panel.planeRotation || 0) === (panel.planeRotation || 0));
+    }
+
+    // Evaluate one poll. reporting is [{ panel, power, expected }] for panels that have power data;
+    // expected is optional. Returns the list of currently flagged issues.
+    evaluate(reporting, timestamp = Date.now()) {
+        const reportingIds = new Set(reporting.map(entry => entry.panel.id));
+        const normalized = reporting.length > 0 && reporting.every(entry => entry.expected > 0);
+        const score = (entry) => (normalized ? entry.power / entry.expected : entry.power);
+
+        reporting.forEach(entry => {
+            const panel = entry.panel;
+            const peers = this.findPeers(panel, reporting);
+
+            // Not enough peers to compare against
+            if (peers.length < 2) {
+                delete this.streaks[panel.id];
+                delete this.issues[panel.id];
+                return;
+            }
+
+            // Peers aren't producing (night, heavy cloud): no evidence either way
+            if (AnomalyDetector.median(peers.map(peer => peer.power)) < this.minPeerPower) {
+                return;
+            }
+
+            const peerScore = AnomalyDetector.median(peers.map(score));
+            const limit = peerScore * (1 - this.thresholdPercent / 100);
+            if (score(entry) >= limit) {
+                delete this.streaks[panel.id];
+                delete this.issues[panel.id];
+                return;
+            }
+
+            this.streaks[panel.id] = (this.streaks[panel.id] || 0) + 1;
+            if (this.streaks[panel.id] < this.consecutivePolls) {
+                return;
+            }
+
+            // When normalized, peerMedian is what this panel would make performing like its peers
+            const existing = this.issues[panel.id];
+            this.issues[panel.id] = {
+                panelId: panel.id,
+                serial: panel.inverterSerialNumber || panel.serialNumber || panel.id,
+                type: entry.power <= 0 ? 'zero' : 'low',
+                power: entry.power,
+                peerMedian: normalized ? peerScore * entry.expected : peerScore,
+                percentBelow: (1 - score(entry) / peerScore) * 100,
+                normalized: normalized,
+                polls: this.streaks[panel.id],
+                since: existing ? existing.since : timestamp
+            };
+        });
+
+        // Forget panels that no longer report or were removed from the layout
+        Object.keys(this.issues).forEach(id => {
+            if (!reportingIds.has(id)) {
+                delete this.issues[id];
+                delete this.streaks[id];
+            }
+        });
+
+        return this.getIssues();
+    }
+
+    getIssues() {
+        return Object.values(this.issues).sort((a, b) => b.percentBelow - a.percentBelow);
+    }
+
+    isFlagged(panelId) {
+        return !!this.issues[panelId];
+    }
+}
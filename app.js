@@ -3,131 +3,230 @@ class SolarPanelMonitor {
         this.panels = [];
         this.powerData = {};
         this.maxPower = 0;
-        this.refreshInterval = null;
+        this.poller = null; // PollScheduler for the live power data
         this.refreshIntervalMinutes = 5;
+        this.lastSourcePoll = null; // When the data source's latest poll was taken, for sources that say
+        this.lastSeen = {}; // upper-case serial -> when the PVS last heard from that inverter (ms, browser clock)
+        this.liveLastSeen = null; // lastSeen from live polls, put back when a replay ends
         this.isDragging = false;
         this.dragPanel = null;
         this.dragOffset = { x: 0, y: 0 };
         this.editPlacementEnabled = false;
+        this.historyStore = null;
+        this.panelHistory = {}; // upper-case serial -> [{ timestamp, power }] for today, used by sparklines
+        this.panelHistoryDay = null;
+        this.energyTracker = null;
+        this.energyTotals = null; // { array: {...}, inverters: { upper-case serial: {...} } } in kWh
+        this.anomalyDetector = null;
+        this.issues = [];
+        this.siteData = null; // Meters and PVS supervisor from DeviceList
+        this.dataSource = null;
+        this.replay = new ReplayController((frame, index) => this.showReplayFrame(frame, index));
+        this.replayActive = false;
+        this.lastReplayIndex = -1;
+        this.viewport = new Viewport(); // Layout units <-> screen pixels
+        this.showDimensions = false;
+        this.userZoomed = false; // Keep the user's zoom when the window is resized
+        this.isPanning = false;
+        this.panStart = null;
+        this.pinch = null;
+        this.selectedPanelIds = new Set();
+        this.selectionBox = null; // Rubber-band selection in world units while dragging
+        this.rotating = null; // Rotation handle drag: { center, startAngle, before, rotations }
+        this.layoutPreview = null; // Lined-up layout waiting to be accepted: { before, after, showingAfter, onLoad }
+        this.snapToGrid = false;
+        this.gridSpacing = CONFIG.snapGridSpacing || (this.getLayoutUnits() === 'in' ? 4 : 0.1);
+        this.undoHistory = new UndoHistory({ onChange: () => this.updateUndoButtons() });
+        this.dragBefore = null; // Layout snapshot taken when a drag starts
+        this.layoutStore = null; // Layout versions saved in the browser
+        this.layoutLoading = false; // Don't autosave while a layout is being loaded
+        this.layoutSaveTimer = null;
+        this.inverterSerials = null; // Inverters in the latest poll, for the layout check
+        this.inventory = null; // InventoryCheck report
+        this.lastPollTime = null;
+        const heatmap = CONFIG.heatmap || {};
+        this.heatmapMetric = heatmap.metric || 'power';
+        this.heatmapPalette = heatmap.palette || 'green';
+        this.heatmapRange = heatmap.range === 'fixed' ? 'fixed' : 'auto';
+        this.heatmapScale = { min: 0, max: 400 }; // Range used for the current render
+        this.solarModel = null; // Expected production, when a location is configured
+        this.groups = []; // Roof planes: [{ id, name, tilt, azimuth, color }], panels refer to them by groupId
+        this.collapsedGroups = new Set(); // Group ids folded up in the summary box
+        this.detailPanelId = null; // Panel shown in the detail drawer
+        this.alertRules = null; // User-defined alert rules, checked after every poll
+        this.publisher = null; // Webhook / MQTT publishing of each poll
+        this.showRawData = false;
+        const liveMode = CONFIG.liveMode || {};
+        this.liveMode = false; // Poll every few seconds while someone is watching
+        this.liveIntervalSeconds = liveMode.intervalSeconds || 5;
+        this.lastActivity = Date.now(); // Last pointer or key input, for turning live mode off when idle
+        this.lastRecordedPoll = null; // Last poll that counted for history, energy, alerts and anomalies
+        this.sleeping = false; // Night-time sleep: only a heartbeat poll now and then
+        this.wakeAt = null; // Sunrise, when sleeping on the sun's position
+        this.zeroStreak = 0; // Polls in a row with the array producing nothing
+        const animation = CONFIG.animation || {};
+        this.animationMs = animation.enabled === false ? 0 : (animation.durationMs || 800);
+        this.animationFrame = null;
+        this.renderedValues = {}; // panel id -> { metric, value } as drawn, where the next animation starts
+        this.canvasLayers = null; // SvgLayers of the canvas, made on the first render
+        this.renderFrame = null; // Pending render() frame
         
         this.init();
     }
 
     async init() {
         this.setupEventListeners();
+        this.dataSource = this.createDataSource();
+        this.initAnomalyDetection();
+        this.initSolarModel();
+        this.initAlerts();
+        this.initPublisher();
+        this.initLayoutStore();
+        await this.initHistory();
         await this.loadPanelLayout(); // This now renders immediately
-        await this.loadPowerData(); // This updates the render with power data
-        this.startAutoRefresh();
+        await this.loadSourceHistory();
+        this.initPolling();
+        await this.poller.start(); // The first poll updates the render with power data
+    }
+    
+    initPolling() {
+        const polling = CONFIG.polling || {};
+        this.poller = new PollScheduler((signal) => this.loadPowerData(signal), {
+            intervalMs: this.getPollIntervalMs(),
+            timeoutMs: (polling.timeoutSeconds || 30) * 1000,
+            retryDelayMs: (polling.retrySeconds || 15) * 1000,
+            maxRetryDelayMs: (polling.maxRetryMinutes || 30) * 60 * 1000,
+            pauseWhenHidden: polling.pauseWhenHidden !== false,
+            onChange: (poller) => this.updatePollStatus(poller)
+        });
+    }
+    
+    // Successful polls put their time in the status line; this covers failures and pauses
+    updatePollStatus(poller) {
+        if (this.replayActive) {
+            return;
+        }
+        if (poller.paused) {
+            this.updateStatus('Polling paused while the page is hidden');
+        } else if (poller.current && poller.failures > 0) {
+            this.updateStatus(`Retrying (attempt ${poller.failures + 1})...`);
+        } else if (poller.failures > 0 && poller.nextPollAt) {
+            const lastData = poller.lastSuccess ? `; showing data from ${new Date(poller.lastSuccess).toLocaleTimeString()}` : '';
+            this.updateStatus(`Error loading power data: ${poller.lastError.message}. Retrying in ${this.formatAge(poller.nextPollAt - Date.now())}${lastData}`);
+        } else if (this.sleeping && poller.nextPollAt && !poller.current) {
+            const time = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            const until = this.wakeAt ? `until sunrise at ${time(this.wakeAt)}` : 'until the array produces again';
+            this.updateStatus(`Night mode ${until} - last poll ${time(this.lastPollTime)}, next check ${time(poller.nextPollAt)}`);
+        }
+    }
+    
+    // Time between polls: a heartbeat while asleep, a few seconds in live mode, otherwise the refresh interval
+    getPollIntervalMs() {
+        if (this.sleeping) {
+            const heartbeat = ((CONFIG.sleep || {}).heartbeatMinutes || 30) * 60000;
+            return this.wakeAt ? Math.max(1000, Math.min(heartbeat, this.wakeAt - Date.now())) : heartbeat;
+        }
+        if (this.liveMode) {
+            return this.liveIntervalSeconds * 1000;
+        }
+        return this.refreshIntervalMinutes * 60000;
+    }
+    
+    setLiveMode(enabled) {
+        this.liveMode = enabled;
+        const checkbox = document.getElementById('liveMode');
+        if (checkbox) {
+            checkbox.checked = enabled;
+        }
+        console.log(`Live mode ${enabled ? 'on' : 'off'}`);
+        this.poller.setIntervalMs(this.getPollIntervalMs());
+        if (enabled) {
+            this.lastActivity = Date.now();
+            this.poller.pollNow();
+        }
+    }
+    
+    // Live mode is for someone watching: it ends after liveMode.idleMinutes without any input
+    checkLiveModeIdle() {
+        const idleMinutes = (CONFIG.liveMode || {}).idleMinutes || 10;
+        if (this.liveMode && Date.now() - this.lastActivity > idleMinutes * 60000) {
+            console.log(`No activity for ${idleMinutes} min, leaving live mode`);
+            this.setLiveMode(false);
+        }
+    }
+    
+    // Which sleep schedule applies: 'sun', 'zero' or 'off'. 'auto' (the default) uses the sun
+    // when a location is configured for the solar model, otherwise the array reporting zero.
+    getSleepMode() {
+        const mode = (CONFIG.sleep || {}).mode || 'auto';
+        if (mode === 'auto' || mode === 'sun') {
+            return this.solarModel ? 'sun' : 'zero';
+        }
+        return mode === 'zero' ? 'zero' : 'off';
+    }
+    
+    // After each poll, decide whether the array is asleep. 'sun' sleeps while the sun is below
+    // sleep.sunElevation degrees and wakes at sunrise; 'zero' sleeps after sleep.zeroPolls polls in
+    // a row producing nothing and wakes at the first heartbeat that sees power. totalPower is null
+    // when the poll failed.
+    updateSleepState(timestamp, totalPower) {
+        const options = CONFIG.sleep || {};
+        const mode = this.getSleepMode();
+        let sleeping = false;
+        this.wakeAt = null;
+        
+        if (mode === 'sun') {
+            const elevation = options.sunElevation !== undefined ? options.sunElevation : -2;
+            if (this.solarModel.getSun(timestamp).elevation < elevation) {
+                sleeping = true;
+                this.wakeAt = this.solarModel.nextSunAbove(timestamp, elevation);
+            }
+        } else if (mode === 'zero') {
+            if (totalPower === null) {
+                sleeping = this.sleeping;
+            } else {
+                this.zeroStreak = totalPower > 0 ? 0 : this.zeroStreak + 1;
+                sleeping = this.zeroStreak >= (options.zeroPolls || 3);
+            }
+        }
+        
+        if (sleeping !== this.sleeping) {
+            console.log(sleeping ? 'Array asleep, polling slowed to a heartbeat' : 'Array awake, polling resumed');
+        }
+        this.sleeping = sleeping;
     }
 
-    async loadPanelLayout() {
+    // options.ignoreSaved skips the layout saved in the browser and loads from config.js or
+    // the data source instead
+    async loadPanelLayout(options = {}) {
+        this.layoutLoading = true;
+        this.discardLayoutPreview();
+        let fromSource = false;
         try {
             console.log('Loading panel layout...');
             
+            // A layout saved in the browser takes precedence over config.js
+            const savedLayout = options.ignoreSaved ? null : this.loadSavedLayout();
+            
             // Check if local layout is configured
-            if (CONFIG.localLayout && Array.isArray(CONFIG.localLayout) && CONFIG.localLayout.length > 0) {
-                console.log('Using local panel layout from config');
-                // Use local layout directly - panels are already in the correct format
-                this.panels = CONFIG.localLayout.map((panel, index) => {
-                    return {
-                        ...panel,
-                        // Ensure all required fields are present
-                        id: panel.id || panel.inverterSerialNumber || `panel-${index}`,
-                        serialNumber: panel.serialNumber || panel.inverterSerialNumber,
-                        inverterSerialNumber: panel.inverterSerialNumber,
-                        x: panel.x || 0,
-                        y: panel.y || 0,
-                        width: panel.width || 80,
-                        height: panel.height || 120,
-                        planeRotation: panel.planeRotation || 0
-                    };
-                });
+            const localPanels = this.parseLocalLayout(savedLayout || CONFIG.localLayout);
+            this.groups = [];
+            if (localPanels.length > 0) {
+                console.log(savedLayout ? `Using saved layout "${this.layoutStore.getActiveName()}"` : 'Using local panel layout from config');
+                this.panels = localPanels;
+                this.groups = this.parseLayoutGroups(savedLayout || CONFIG.localLayout);
                 console.log(`Loaded ${this.panels.length} panels from local layout`);
             } else {
-                // Fetch from API
-                const url = CONFIG.apiBaseUrl + CONFIG.panelLayoutEndpoint;
-                const response = await fetch(url);
-                
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                
-                const data = await response.json();
-                console.log('Panel layout data received:', data);
-                
-                // Handle the specific JSON format: {result: {panels: [...]}, success: "true"}
-                let panelsArray = [];
-                if (data.result && data.result.panels) {
-                    panelsArray = data.result.panels;
-                } else if (Array.isArray(data)) {
-                    panelsArray = data;
-                } else if (data.panels) {
-                    panelsArray = data.panels;
-                } else if (data.Panels) {
-                    panelsArray = data.Panels;
-                }
+                // Fetch from the configured data source
+                const panelsArray = (await this.dataSource.loadLayout()) || [];
                 
                 console.log(`Found ${panelsArray.length} panels`);
                 
-                // Convert the API format to our internal format
-                // API format: {xCoordinate, yCoordinate, planeRotation, inverterSerialNumber}
-                
-                // First, find the minimum y coordinate to calculate offset for all panels
-                const allYCoords = panelsArray.map(p => p.yCoordinate || p.y || 0);
-                const minY = Math.min(...allYCoords);
-                const yOffset = minY < 0 ? Math.abs(minY) + 50 : 50; // Offset to make all panels visible
-
-                // Next, find minimum X to calculate an offset for all PV6-based coordinates
-                const allXCoords = panelsArray.map(p => p.xCoordinate || p.x || 0);
-                const minX = Math.min(...allXCoords);
-                const xOffset = minX < 0 ? Math.abs(minX) + 50 : 50; // Same idea as yOffset
-                
-                this.panels = panelsArray.map((panel, index) => {
-                // Normalize coordinates (handle negative y values by offsetting)
-                const x = (panel.xCoordinate || panel.x || Math.floor(index / 10) * 120 + 50) + xOffset;
-                const y = (panel.yCoordinate || panel.y || Math.floor(index / 10) * 120 + 50) + yOffset;
-                
-                // Get rotation angle (normalize to 0-360)
-                const rotation = (panel.planeRotation || 0) % 360;
-                
-                // Base dimensions for a panel (portrait: taller than wide)
-                const baseWidth = panel.width || 80;   // Narrow dimension
-                const baseHeight = panel.height || 120; // Tall dimension
-                
-                // Determine actual width/height based on rotation
-                // 0° = portrait (taller than wide), 90° = landscape (wider than tall)
-                let width, height;
-                if (rotation === 0 || rotation === 180) {
-                    // Portrait: taller than wide
-                    width = baseWidth;
-                    height = baseHeight;
-                } else if (rotation === 90 || rotation === 270) {
-                    // Landscape: wider than tall
-                    width = baseHeight;
-                    height = baseWidth;
-                } else {
-                    // For other angles, use the larger dimension for both to ensure visibility
-                    const maxDim = Math.max(baseWidth, baseHeight);
-                    width = maxDim;
-                    height = maxDim;
-                }
-                
-                return {
-                    // Keep original data
-                    ...panel,
-                    // Map to our standard format
-                    x: x,
-                    y: y,
-                    width: width,
-                    height: height,
-                    id: panel.inverterSerialNumber || panel.id || panel.ID || `panel-${index}`,
-                    serialNumber: panel.inverterSerialNumber || panel.serialNumber || panel.SerialNumber,
-                    inverterSerialNumber: panel.inverterSerialNumber,
-                    planeRotation: rotation
-                };
-            });
-            
+                // Convert the data source format ({xCoordinate, yCoordinate, planeRotation,
+                // inverterSerialNumber}) to our internal format
+                this.panels = SolarCore.panelsFromSourceLayout(panelsArray, CONFIG);
                 console.log('Processed panels:', this.panels);
+                fromSource = this.panels.length > 0;
             }
             
             if (this.panels.length === 0) {
@@ -135,8 +234,19 @@ class SolarPanelMonitor {
                 this.createDefaultPanels();
             }
             
-            // Resolve any overlapping panels
-            this.resolveOverlaps();
+            this.undoHistory.clear();
+            
+            // Data source coordinates are often slightly off; line up their rows and columns
+            // (undoable, to see the layout exactly as reported), or offer to further down unless
+            // the offer was turned down for this same layout. Layouts that aren't lined up just
+            // have overlapping panels pushed apart.
+            const recovery = this.getLayoutRecoveryMode();
+            const offerLineUp = fromSource && recovery === 'preview' &&
+                                !(this.layoutStore && this.layoutStore.isLineUpDeclined(LayoutStore.fingerprint(this.panels)));
+            const linedUp = fromSource && recovery === 'auto' && this.proposeLineUp(this.panels, { apply: true });
+            if (!linedUp && !offerLineUp) {
+                this.resolveLayoutOverlaps();
+            }
             
             this.updateStatus(`Panel layout loaded: ${this.panels.length} panels`);
             this.updateSummary(); // Update summary to show total panels count
@@ -145,7 +255,14 @@ class SolarPanelMonitor {
             if (this.maxPower === 0) {
                 this.maxPower = 400; // Default for color scaling
             }
+            this.fitToView();
             this.render();
+            
+            // ...or offer to, with a before/after preview
+            if (offerLineUp && !this.proposeLineUp(this.panels, { onLoad: true, saveOnReject: !!options.ignoreSaved })) {
+                this.resolveLayoutOverlaps();
+                this.render();
+            }
         } catch (error) {
             console.error('Error loading panel layout:', error);
             this.updateStatus(`Error loading panel layout: ${error.message}`);
@@ -159,17 +276,234 @@ class SolarPanelMonitor {
             if (this.maxPower === 0) {
                 this.maxPower = 400; // Default for color scaling
             }
+            this.fitToView();
+            this.render();
+        } finally {
+            this.layoutLoading = false;
+        }
+    }
+    
+    initLayoutStore() {
+        if (CONFIG.saveLayoutInBrowser === false) {
+            console.log('Saving layouts in the browser is disabled');
+            return;
+        }
+        try {
+            this.layoutStore = new LayoutStore();
+            this.layoutStore.read();
+        } catch (error) {
+            console.warn('Layouts can\'t be saved in this browser:', error);
+            this.layoutStore = null;
+        }
+        this.updateLayoutVersions();
+    }
+    
+    loadSavedLayout() {
+        if (!this.layoutStore) {
+            return null;
+        }
+        try {
+            return this.layoutStore.load();
+        } catch (error) {
+            console.warn('Error reading saved layout:', error);
+            return null;
+        }
+    }
+    
+    // Save the layout shortly after an edit, so a burst of edits is written once
+    scheduleLayoutSave() {
+        if (!this.layoutStore || this.layoutLoading) {
+            return;
+        }
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = setTimeout(() => this.saveLayout(), 500);
+    }
+    
+    saveLayout() {
+        // A previewed line-up isn't saved unless it's accepted; the save stays pending until the
+        // preview closes
+        if (this.layoutPreview) {
+            return;
+        }
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = null;
+        if (!this.layoutStore || this.panels.length === 0) {
+            return;
+        }
+        try {
+            this.layoutStore.save(this.getLayoutExport());
+            console.log(`Saved layout "${this.layoutStore.getActiveName()}"`);
+            this.updateLayoutVersions();
+        } catch (error) {
+            console.error('Error saving layout:', error);
+            this.updateStatus(`Error saving layout: ${error.message}`);
+        }
+    }
+    
+    // Fill the version picker: saved versions, the active one even if not saved yet,
+    // and an entry to reload the layout from the data source
+    updateLayoutVersions() {
+        const select = document.getElementById('layoutVersion');
+        if (!select) {
+            return;
+        }
+        if (!this.layoutStore) {
+            select.parentElement.classList.add('hidden');
+            return;
+        }
+        
+        const active = this.layoutStore.getActiveName();
+        const names = this.layoutStore.listVersions();
+        if (!names.includes(active)) {
+            names.unshift(active);
+        }
+        
+        select.innerHTML = '';
+        names.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        const reload = document.createElement('option');
+        reload.value = '';
+        reload.textContent = '↻ Reload from data source';
+        select.appendChild(reload);
+        select.value = active;
+        
+        document.getElementById('deleteLayoutVersion').disabled = names.length < 2;
+    }
+    
+    async switchLayoutVersion(name) {
+        if (!this.layoutStore) {
+            return;
+        }
+        // Write any pending edits to the version being left
+        this.discardLayoutPreview();
+        if (this.layoutSaveTimer) {
+            this.saveLayout();
+        }
+        
+        if (name === '') {
+            const active = this.layoutStore.getActiveName();
+            if (confirm(`Replace layout "${active}" with the layout from the data source?`)) {
+                await this.loadPanelLayout({ ignoreSaved: true });
+                this.saveLayout();
+            }
+            this.updateLayoutVersions();
+            return;
+        }
+        
+        this.layoutStore.setActive(name);
+        await this.loadPanelLayout();
+        this.updateLayoutVersions();
+        this.updateStatus(`Switched to layout "${name}"`);
+    }
+    
+    saveLayoutVersionAs() {
+        if (!this.layoutStore || this.blockedByLayoutPreview()) {
+            return;
+        }
+        const name = (prompt('Save the current layout as:', '') || '').trim();
+        if (!name) {
+            return;
+        }
+        if (this.layoutStore.listVersions().includes(name) && !confirm(`Overwrite layout "${name}"?`)) {
+            return;
+        }
+        this.layoutStore.setActive(name);
+        this.saveLayout();
+        this.updateStatus(`Saved layout "${name}"`);
+    }
+    
+    async deleteLayoutVersion() {
+        if (!this.layoutStore) {
+            return;
+        }
+        const name = this.layoutStore.getActiveName();
+        if (!confirm(`Delete layout "${name}"?`)) {
+            return;
+        }
+        clearTimeout(this.layoutSaveTimer);
+        this.layoutSaveTimer = null;
+        const active = this.layoutStore.remove(name);
+        await this.loadPanelLayout();
+        this.updateLayoutVersions();
+        this.updateStatus(`Deleted layout "${name}", now showing "${active}"`);
+    }
+    
+    // Replace the layout with an exported layout file; the import can be undone
+    async importLayoutFile(file) {
+        this.discardLayoutPreview();
+        try {
+            const layout = LayoutStore.parseImport(await file.text());
+            const before = this.snapshotLayout();
+            this.panels = this.parseLocalLayout(layout);
+            this.groups = this.parseLayoutGroups(layout);
+            this.setSelection([]);
+            this.commitLayoutChange('Import layout', before);
+            this.updateSummary();
+            this.fitToView();
             this.render();
+            this.updateStatus(`Imported ${this.panels.length} panels from ${file.name}`);
+        } catch (error) {
+            console.error('Error importing layout:', error);
+            this.updateStatus(`Error importing layout: ${error.message}`);
+            alert(`Couldn't import ${file.name}:\n${error.message}`);
+        }
+    }
+    
+    getLayoutUnits() {
+        return SolarCore.getLayoutUnits(CONFIG);
+    }
+    
+    convertLength(value, fromUnits, toUnits) {
+        return SolarCore.convertLength(value, fromUnits, toUnits);
+    }
+    
+    // Portrait module size { width, height } in layout units for a panel type
+    getPanelModule(panelType) {
+        return SolarCore.getPanelModule(CONFIG, panelType);
+    }
+    
+    // Layout units per PV6 coordinate unit (see SolarCore.getCoordinateScale)
+    getCoordinateScale() {
+        return SolarCore.getCoordinateScale(CONFIG);
+    }
+    
+    // Small gap kept between panels when dragging and resolving overlaps
+    getPanelGap() {
+        return this.getPanelModule('default').width / 16;
+    }
+    
+    // CONFIG.localLayout is either { units, panels: [...] } as exported now, or a plain
+    // array from older exports, which used PV6 coordinate units
+    parseLocalLayout(layout) {
+        return SolarCore.parseLocalLayout(layout, CONFIG);
+    }
+    
+    // Groups from an exported layout; older exports and plain arrays have none
+    parseLayoutGroups(layout) {
+        if (!layout || Array.isArray(layout) || !Array.isArray(layout.groups)) {
+            return [];
         }
+        return layout.groups.map((group, index) => ({
+            id: group.id || `group-${index + 1}`,
+            name: group.name || `Group ${index + 1}`,
+            tilt: group.tilt,
+            azimuth: group.azimuth,
+            color: group.color || this.getGroupColor(index)
+        }));
     }
     
     createDefaultPanels() {
         // Create some default panels for testing (rectangular, non-overlapping)
         this.panels = [];
-        const baseWidth = 80;   // Narrow dimension (for portrait)
-        const baseHeight = 120; // Tall dimension (for portrait)
-        const spacingX = 20; // Horizontal spacing between panels
-        const spacingY = 20; // Vertical spacing between panels
+        const panelModule = this.getPanelModule('default');
+        const baseWidth = panelModule.width;   // Narrow dimension (for portrait)
+        const baseHeight = panelModule.height; // Tall dimension (for portrait)
+        const spacingX = baseWidth / 4; // Horizontal spacing between panels
+        const spacingY = baseWidth / 4; // Vertical spacing between panels
         const cols = 4;
         
         for (let i = 0; i < 12; i++) {
@@ -191,27 +525,25 @@ class SolarPanelMonitor {
             this.panels.push({
                 id: `panel-${i}`,
                 serialNumber: `SN-${i}`,
-                x: 50 + col * (Math.max(width, baseHeight) + spacingX),
-                y: 50 + row * (Math.max(height, baseHeight) + spacingY),
+                x: col * (Math.max(width, baseHeight) + spacingX),
+                y: row * (Math.max(height, baseHeight) + spacingY),
                 width: width,
                 height: height,
-                planeRotation: rotation
+                planeRotation: rotation,
+                panelType: 'default'
             });
         }
         console.log('Created default panels:', this.panels);
     }
     
-    // Check if two panels overlap
+    // Check if two panels overlap, as drawn (rotation included)
     panelsOverlap(panel1, panel2) {
-        return !(panel1.x + panel1.width <= panel2.x ||
-                 panel2.x + panel2.width <= panel1.x ||
-                 panel1.y + panel1.height <= panel2.y ||
-                 panel2.y + panel2.height <= panel1.y);
+        return Geometry.panelsOverlap(panel1, panel2);
     }
     
     // Resolve overlapping panels by shifting them
     resolveOverlaps() {
-        const padding = 10; // Minimum spacing between panels
+        const padding = this.getPanelGap() * 2; // Minimum spacing between panels
         let moved = true;
         let iterations = 0;
         const maxIterations = 100; // Prevent infinite loops
@@ -225,39 +557,14 @@ class SolarPanelMonitor {
                     const panel1 = this.panels[i];
                     const panel2 = this.panels[j];
                     
-                    if (this.panelsOverlap(panel1, panel2)) {
-                        // Calculate overlap amounts
-                        const overlapX = Math.min(
-                            panel1.x + panel1.width - panel2.x,
-                            panel2.x + panel2.width - panel1.x
-                        );
-                        const overlapY = Math.min(
-                            panel1.y + panel1.height - panel2.y,
-                            panel2.y + panel2.height - panel1.y
-                        );
-                        
-                        // Move panels apart based on which overlap is smaller
-                        if (overlapX < overlapY) {
-                            // Move horizontally
-                            const moveAmount = (overlapX + padding) / 2;
-                            if (panel1.x < panel2.x) {
-                                panel1.x = Math.max(0, panel1.x - moveAmount);
-                                panel2.x = panel2.x + moveAmount;
-                            } else {
-                                panel2.x = Math.max(0, panel2.x - moveAmount);
-                                panel1.x = panel1.x + moveAmount;
-                            }
-                        } else {
-                            // Move vertically
-                            const moveAmount = (overlapY + padding) / 2;
-                            if (panel1.y < panel2.y) {
-                                panel1.y = Math.max(0, panel1.y - moveAmount);
-                                panel2.y = panel2.y + moveAmount;
-                            } else {
-                                panel2.y = Math.max(0, panel2.y - moveAmount);
-                                panel1.y = panel1.y + moveAmount;
-                            }
-                        }
+                    const push = Geometry.separation(Geometry.corners(panel1), Geometry.corners(panel2));
+                    if (push) {
+                        // Move both panels apart along the shortest way out, half each
+                        const scale = (push.depth + padding) / push.depth / 2;
+                        panel1.x -= push.x * scale;
+                        panel1.y -= push.y * scale;
+                        panel2.x += push.x * scale;
+                        panel2.y += push.y * scale;
                         
                         moved = true;
                     }
@@ -271,405 +578,2555 @@ class SolarPanelMonitor {
             console.log(`Resolved panel overlaps in ${iterations} iterations`);
         }
     }
+    
+    // Push overlapping panels apart in a layout that isn't lined up. It's part of loading the layout,
+    // so it can be undone but isn't saved as an edit.
+    resolveLayoutOverlaps() {
+        const loading = this.layoutLoading;
+        this.layoutLoading = true;
+        const before = this.snapshotLayout();
+        this.resolveOverlaps();
+        this.commitLayoutChange('Resolve overlaps', before);
+        this.layoutLoading = loading;
+    }
+    
+    // CONFIG.layoutRecovery: 'preview' (default), 'auto' or 'off'
+    getLayoutRecoveryMode() {
+        return ['auto', 'off'].includes(CONFIG.layoutRecovery) ? CONFIG.layoutRecovery : 'preview';
+    }
+    
+    // Line up the rows and columns of some panels (see layout-normalizer.js). The result is shown
+    // in place of the layout, with the current positions outlined, until it's accepted or
+    // rejected; options.apply takes it straight away. options.onLoad marks the offer made when a
+    // source layout loads, and options.saveOnReject saves that layout if the offer is turned down.
+    // Returns false when nothing needs to move.
+    proposeLineUp(panels, options = {}) {
+        const result = LayoutNormalizer.normalize(panels, {
+            gap: this.getPanelGap(),
+            minShift: this.getPanelModule('default').width / 100
+        });
+        if (result.moved === 0) {
+            return false;
+        }
+        
+        const copies = new Map(panels.map((panel, index) => [panel, result.panels[index]]));
+        const before = this.snapshotLayout();
+        const after = this.panels.map(panel => copies.get(panel) || { ...panel });
+        const summary = `${result.moved} of ${panels.length} panels lined up in ${result.rows} rows and ` +
+                        `${result.columns} columns (${result.planes} roof ${result.planes === 1 ? 'plane' : 'planes'}), ` +
+                        `moved up to ${this.formatLength(result.maxShift)}`;
+        
+        if (options.apply) {
+            this.panels = after;
+            this.commitLayoutChange('Line up', before);
+            this.updateSummary();
+            console.log(summary);
+            return true;
+        }
+        
+        this.layoutPreview = {
+            before: before.panels,
+            after: after,
+            showingAfter: true,
+            onLoad: !!options.onLoad,
+            saveOnReject: !!options.saveOnReject
+        };
+        this.panels = after;
+        document.getElementById('layoutPreviewSummary').textContent = summary + '.';
+        document.getElementById('toggleLayoutPreview').textContent = 'Show Before';
+        document.getElementById('layoutPreviewDialog').classList.remove('hidden');
+        this.updateSummary();
+        this.render();
+        return true;
+    }
+    
+    // Flip the preview between the lined-up layout and the layout as it was
+    toggleLayoutPreview() {
+        const preview = this.layoutPreview;
+        if (!preview) return;
+        preview.showingAfter = !preview.showingAfter;
+        this.panels = preview.showingAfter ? preview.after : preview.before;
+        document.getElementById('toggleLayoutPreview').textContent = preview.showingAfter ? 'Show Before' : 'Show After';
+        this.updateSummary();
+        this.render();
+    }
+    
+    // Saving, exporting and editing the layout wait until a previewed line-up is accepted or
+    // rejected, so the unaccepted version isn't written anywhere or edited and then thrown away
+    blockedByLayoutPreview() {
+        if (!this.layoutPreview) {
+            return false;
+        }
+        this.updateStatus('Accept the lined-up layout or keep the original first');
+        return true;
+    }
+    
+    // Close the preview without a choice, back on the layout as it was, when the layout is about
+    // to be replaced anyway
+    discardLayoutPreview() {
+        const preview = this.layoutPreview;
+        if (!preview) return null;
+        this.layoutPreview = null;
+        document.getElementById('layoutPreviewDialog').classList.add('hidden');
+        this.panels = preview.before;
+        return preview;
+    }
+    
+    // Keep the lined-up layout (as an undoable change) or go back to the layout as it was
+    closeLayoutPreview(accept) {
+        const preview = this.discardLayoutPreview();
+        if (!preview) return;
+        
+        if (accept) {
+            const before = this.snapshotLayout();
+            this.panels = preview.after;
+            this.commitLayoutChange('Line up', before);
+        } else if (preview.onLoad) {
+            // Remember the answer instead of saving the layout, so the data source's layout is still
+            // loaded (corrections included) next time, without asking again while it's the same
+            if (this.layoutStore) {
+                this.layoutStore.declineLineUp(LayoutStore.fingerprint(preview.before));
+            }
+            this.resolveLayoutOverlaps();
+            if (preview.saveOnReject) {
+                this.scheduleLayoutSave();
+            }
+        } else if (this.layoutSaveTimer) {
+            // A save that waited for the preview
+            this.scheduleLayoutSave();
+        }
+        this.updateSummary();
+        this.render();
+    }
 
-    async loadPowerData() {
+    // One live poll; run by the PollScheduler (refresh with this.poller.pollNow()). Throws after
+    // showing the error so the scheduler can back off. signal cancels the request on timeout.
+    async loadPowerData(signal = null) {
+        // Live polling is paused while a recording is being replayed
+        if (this.replayActive) {
+            return;
+        }
+        
+        let devices = null;
+        let timestamp = Date.now();
+        this.checkLiveModeIdle();
+        // In live mode only one poll per refresh interval goes into the history and energy
+        // totals and counts for alerts and anomalies; the ones in between just update the screen
+        const record = !this.liveMode || this.lastRecordedPoll === null ||
+                       timestamp - this.lastRecordedPoll >= this.refreshIntervalMinutes * 60000 - 1000;
+        const previousRecordedPoll = this.lastRecordedPoll;
+        if (record) {
+            this.lastRecordedPoll = timestamp;
+        }
         try {
             console.log('Loading power data...');
-            const url = CONFIG.apiBaseUrl + CONFIG.powerDataEndpoint;
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            const data = await response.json();
-            console.log('Power data received:', data);
-            
-            // Store power data by serial number or ID
-            this.powerData = {};
-            // Reset maxPower to recalculate from new data
-            this.maxPower = 0;
-            
-            const devices = Array.isArray(data) ? data : (data.devices || data.DeviceList || data.Devices || []);
-            
-            console.log(`Found ${devices.length} total devices`);
-            
-            // Filter for inverters only (solar panels)
-            const inverters = devices.filter(device => {
-                return device.DEVICE_TYPE === "Inverter" || 
-                       device.TYPE === "SOLARBRIDGE" ||
-                       (device.DESCR && device.DESCR.includes("Inverter"));
-            });
-            
-            console.log(`Found ${inverters.length} inverters (solar panels)`);
-            
-            inverters.forEach(device => {
-                // Use SERIAL field (uppercase) to match with panel inverterSerialNumber
-                const serial = device.SERIAL || device.serialNumber || device.SerialNumber || 
-                              device.inverterSerialNumber || device.InverterSerialNumber ||
-                              device.id || device.ID;
-                
-                if (serial) {
-                    // Store by serial number
-                    this.powerData[serial] = device;
-                    
-                    // Also store by lowercase version if different
-                    if (serial !== serial.toLowerCase()) {
-                        this.powerData[serial.toLowerCase()] = device;
-                    }
-                    
-                    // Track maximum power for color scaling
-                    const power = this.getPowerValue(device);
-                    if (power > this.maxPower) {
-                        this.maxPower = power;
-                    }
-                    
-                    console.log(`Stored power data for ${serial}: ${power}W`);
+            const result = await this.dataSource.loadPower({ signal: signal });
+            devices = Array.isArray(result) ? result : result.devices;
+            // Sources that poll on their own schedule (the collector) say when their poll was taken;
+            // one that's already been shown has nothing new to show or record
+            if (!Array.isArray(result) && result.timestamp) {
+                if (result.timestamp === this.lastSourcePoll) {
+                    this.lastRecordedPoll = previousRecordedPoll;
+                    this.poller.setIntervalMs(this.getPollIntervalMs());
+                    return;
                 }
-            });
-            
-            // If no max power found, set a default for color scaling
-            if (this.maxPower === 0) {
-                this.maxPower = 400; // Default max power for color scaling
-                console.log('No power data found, using default max power for color scaling');
+                this.lastSourcePoll = result.timestamp;
+                timestamp = result.timestamp;
             }
-            
-            console.log('Power data processed. Max power:', this.maxPower);
-            console.log('Power data stored, keys:', Object.keys(this.powerData));
-            console.log('About to render, powerData reference check:', this.powerData !== null);
-            this.updateStatus(`Power data loaded - ${new Date().toLocaleTimeString()}`);
-            this.updateSummary();
-            this.render();
+            // Old polls a recording replays are shown, not persisted
+            const recorded = this.dataSource.recorded;
+            await this.processPowerData(devices, timestamp, { persist: record && !recorded, live: !record && !recorded });
+            if (record) {
+                this.evaluateAlerts({ timestamp: timestamp, ok: true });
+            }
+            const totalPower = this.inverterSerials.reduce((total, serial) => total + this.getPowerValue(this.powerData[serial]), 0);
+            this.updateSleepState(timestamp, totalPower);
+            this.poller.setIntervalMs(this.getPollIntervalMs());
         } catch (error) {
             console.error('Error loading power data:', error);
             this.updateStatus(`Error loading power data: ${error.message}`);
+            // Only a failed request counts as the PVS being unreachable
+            if (!devices) {
+                if (record) {
+                    this.evaluateAlerts({ timestamp: timestamp, ok: false, error: error.message });
+                }
+                this.updateSleepState(timestamp, null);
+                this.poller.setIntervalMs(this.getPollIntervalMs());
+            }
             // Still render with default/zero power
             if (this.maxPower === 0) {
                 this.maxPower = 400; // Default for color scaling
             }
             this.updateSummary();
             this.render();
+            throw error;
         }
     }
-
-    updateSummary() {
-        let totalPower = 0;
-        let activePanels = 0;
+    
+    // Run one DeviceList poll through the app. Live polls are persisted to the history and
+    // energy stores; replayed polls (persist: false) only update what's on screen, as do the
+    // extra polls of live mode (persist: false, live: true), which also skip anomaly detection.
+    async processPowerData(devices, timestamp, options = { persist: true }) {
+        console.log(`Found ${devices.length} total devices`);
         
-        // Calculate total power from all panels
-        this.panels.forEach(panel => {
-            const powerInfo = this.powerData[panel.id] || 
-                             this.powerData[panel.serialNumber] || 
-                             this.powerData[panel.inverterSerialNumber] || {};
-            const power = this.getPowerValue(powerInfo);
-            
-            if (power > 0) {
-                totalPower += power;
-                activePanels++;
-            }
-        });
+        // Power data by serial number, plus readings for the history and energy stores
+        const { inverters, powerData, readings, maxPower } = SolarCore.indexDevices(devices);
+        this.powerData = powerData;
+        this.maxPower = maxPower;
         
-        // Update summary display
-        const totalPowerElement = document.getElementById('totalPower');
-        const activePanelsElement = document.getElementById('activePanels');
-        const totalPanelsElement = document.getElementById('totalPanels');
+        console.log(`Found ${inverters.length} inverters (solar panels)`);
+        readings.forEach(reading => console.log(`Stored power data for ${reading.serial}: ${reading.power}W`));
         
-        if (totalPowerElement) {
-            // Format power: show kW if >= 1000W, otherwise show W
-            if (totalPower >= 1000) {
-                totalPowerElement.textContent = `${(totalPower / 1000).toFixed(2)} kW`;
-            } else {
-                totalPowerElement.textContent = `${totalPower.toFixed(1)} W`;
-            }
+        // Site-level devices: production/consumption meters and the PVS itself
+        this.siteData = this.parseSiteDevices(devices, inverters);
+        this.updateSitePanel();
+        
+        // If no max power found, set a default for color scaling
+        if (this.maxPower === 0) {
+            this.maxPower = 400; // Default max power for color scaling
+            console.log('No power data found, using default max power for color scaling');
         }
         
-        if (activePanelsElement) {
-            activePanelsElement.textContent = activePanels.toString();
+        this.lastPollTime = timestamp;
+        // A recording played as the data source says nothing about when the inverters were last heard from
+        if (!this.dataSource.recorded) {
+            this.updateLastSeen(inverters, timestamp);
         }
         
-        if (totalPanelsElement) {
-            totalPanelsElement.textContent = this.panels.length.toString();
+        // Checked against the layout in updateSummary()
+        this.inverterSerials = inverters.map(device => device.SERIAL).filter(serial => serial);
+        
+        if (!options.live) {
+            this.detectAnomalies(timestamp);
+        }
+        
+        console.log('Power data processed. Max power:', this.maxPower);
+        console.log('Power data stored, keys:', Object.keys(this.powerData));
+        console.log('About to render, powerData reference check:', this.powerData !== null);
+        const pollTime = new Date(timestamp).toLocaleTimeString();
+        if (options.live) {
+            this.updateStatus(`Live - ${pollTime}`);
+        } else {
+            this.updateStatus(options.persist ? `Power data loaded - ${pollTime}` : `Replay - ${new Date(timestamp).toLocaleDateString()} ${pollTime}`);
+        }
+        this.updateSummary();
+        this.render();
+        
+        if (options.persist) {
+            // Persist this poll so it survives the next refresh
+            await this.recordHistory(timestamp, readings);
+            await this.updateEnergy(timestamp, readings);
+            // Not awaited: a slow webhook or broker shouldn't hold up the next poll
+            this.publishReadings(timestamp);
+        } else if (!options.live) {
+            this.appendPanelHistory(timestamp, readings);
         }
     }
 
-    getPowerValue(device) {
-        console.log('getPowerValue called with device:', device);
-        console.log('Device type:', typeof device, 'Is object:', device && typeof device === 'object');
-        
-        if (!device || typeof device !== 'object') {
-            console.log('getPowerValue: Invalid device object, returning 0');
-            return 0;
-        }
-        
-        // Try various possible power field names
-        // p_3phsum_kw is in kilowatts, so convert to watts by multiplying by 1000
-        console.log('Checking p_3phsum_kw:', {
-            exists: 'p_3phsum_kw' in device,
-            value: device.p_3phsum_kw,
-            type: typeof device.p_3phsum_kw,
-            isUndefined: device.p_3phsum_kw === undefined,
-            isNull: device.p_3phsum_kw === null,
-            isEmpty: device.p_3phsum_kw === ''
-        });
+    toggleReplayBar() {
+        const replayBar = document.getElementById('replayBar');
+        if (!replayBar) return;
         
-        if (device.p_3phsum_kw !== undefined && device.p_3phsum_kw !== null && device.p_3phsum_kw !== '') {
-            const value = parseFloat(device.p_3phsum_kw);
-            console.log('p_3phsum_kw parsed:', {
-                raw: device.p_3phsum_kw,
-                parsed: value,
-                isNaN: isNaN(value),
-                result: !isNaN(value) ? value * 1000 : 'NaN'
-            });
-            if (!isNaN(value)) {
-                const result = value * 1000;
-                console.log('getPowerValue returning (from p_3phsum_kw):', result, 'W');
-                return result; // Convert kW to W
+        if (this.replayActive) {
+            this.exitReplay();
+        } else {
+            replayBar.classList.toggle('hidden');
+        }
+    }
+    
+    // Load a recording and switch from live polling to replay
+    async startReplay(file) {
+        try {
+            const frames = await this.replay.loadFile(file);
+            // Replayed polls have their own last-seen times; the live ones come back afterwards
+            if (!this.replayActive) {
+                this.liveLastSeen = this.lastSeen;
+            }
+            this.lastSeen = {};
+            this.replayActive = true;
+            this.lastReplayIndex = -1;
+            
+            const scrubber = document.getElementById('replayScrubber');
+            if (scrubber) {
+                scrubber.max = frames.length - 1;
+                scrubber.value = 0;
             }
+            document.getElementById('replayBar').classList.add('replaying');
+            await this.replay.seek(0);
+        } catch (error) {
+            console.error('Error loading recording:', error);
+            this.updateStatus(`Error loading recording: ${error.message}`);
         }
-        
-        console.log('Checking p_3phsum_kW:', {
-            exists: 'p_3phsum_kW' in device,
-            value: device.p_3phsum_kW,
-            type: typeof device.p_3phsum_kW
-        });
-        
-        if (device.p_3phsum_kW !== undefined && device.p_3phsum_kW !== null && device.p_3phsum_kW !== '') {
-            const value = parseFloat(device.p_3phsum_kW);
-            console.log('p_3phsum_kW parsed:', {
-                raw: device.p_3phsum_kW,
-                parsed: value,
-                isNaN: isNaN(value),
-                result: !isNaN(value) ? value * 1000 : 'NaN'
+    }
+    
+    // Show one recorded poll. Jumping around the timeline rebuilds the sparkline history
+    // and restarts anomaly detection so streaks aren't counted across the jump.
+    async showReplayFrame(frame, index) {
+        if (index !== this.lastReplayIndex + 1) {
+            this.panelHistory = {};
+            this.panelHistoryDay = this.getStartOfDay(frame.timestamp);
+            this.replay.frames.slice(0, index).forEach(earlier => {
+                if (earlier.timestamp >= this.panelHistoryDay) {
+                    const readings = earlier.devices
+                        .filter(device => device.SERIAL && this.isInverter(device))
+                        .map(device => ({ serial: device.SERIAL.toUpperCase(), power: this.getPowerValue(device) }));
+                    this.appendPanelHistory(earlier.timestamp, readings);
+                }
             });
-            if (!isNaN(value)) {
-                const result = value * 1000;
-                console.log('getPowerValue returning (from p_3phsum_kW):', result, 'W');
-                return result; // Convert kW to W
-            }
-        }
-        
-        // Fallback to other possible field names (already in watts)
-        console.log('Checking fallback power fields:', {
-            power: device.power,
-            Power: device.Power,
-            powerWatts: device.powerWatts,
-            PowerWatts: device.PowerWatts,
-            currentPower: device.currentPower,
-            CurrentPower: device.CurrentPower,
-            instantPower: device.instantPower,
-            InstantPower: device.InstantPower
-        });
-        
-        const fallbackValue = device.power || device.Power || device.powerWatts || device.PowerWatts || 
-               device.currentPower || device.CurrentPower || 
-               device.instantPower || device.InstantPower || 0;
+            this.initAnomalyDetection();
+        }
+        this.lastReplayIndex = index;
         
-        console.log('Fallback value selected:', fallbackValue, 'type:', typeof fallbackValue);
+        await this.processPowerData(frame.devices, frame.timestamp, { persist: false });
+        this.updateReplayControls();
+    }
+    
+    updateReplayControls() {
+        const scrubber = document.getElementById('replayScrubber');
+        const timeLabel = document.getElementById('replayTime');
+        const playButton = document.getElementById('replayPlay');
+        const frame = this.replay.currentFrame;
         
-        const fallback = parseFloat(fallbackValue);
-        console.log('Fallback parsed:', {
-            raw: fallbackValue,
-            parsed: fallback,
-            isNaN: isNaN(fallback)
+        if (scrubber && frame) {
+            scrubber.value = this.replay.index;
+        }
+        if (timeLabel) {
+            timeLabel.textContent = frame
+                ? `${new Date(frame.timestamp).toLocaleString()} (${this.replay.index + 1}/${this.replay.frames.length})`
+                : 'No recording loaded';
+        }
+        if (playButton) {
+            // Playback stops by itself at the end of the recording
+            playButton.textContent = this.replay.playing && !this.replay.isAtEnd ? 'Pause' : 'Play';
+        }
+    }
+    
+    toggleReplayPlayback() {
+        if (!this.replayActive) return;
+        
+        if (this.replay.playing) {
+            this.replay.pause();
+        } else {
+            this.replay.play();
+        }
+        this.updateReplayControls();
+    }
+    
+    // Leave replay and go back to live data
+    async exitReplay() {
+        this.replay.pause();
+        this.replayActive = false;
+        this.lastSeen = this.liveLastSeen || {};
+        this.liveLastSeen = null;
+        
+        const replayBar = document.getElementById('replayBar');
+        if (replayBar) {
+            replayBar.classList.add('hidden');
+            replayBar.classList.remove('replaying');
+        }
+        const fileInput = document.getElementById('replayFile');
+        if (fileInput) {
+            fileInput.value = '';
+        }
+        
+        this.initAnomalyDetection();
+        await this.loadTodayHistory();
+        await this.poller.pollNow();
+    }
+    
+    // Build the adapter named by CONFIG.dataSource. The PV6 adapter takes its URLs from the
+    // top-level apiBaseUrl/panelLayoutEndpoint/powerDataEndpoint settings.
+    createDataSource() {
+        const name = CONFIG.dataSource || 'pv6';
+        const options = (CONFIG.dataSourceOptions && CONFIG.dataSourceOptions[name]) || {};
+        const pv6Options = {
+            apiBaseUrl: CONFIG.apiBaseUrl,
+            panelLayoutEndpoint: CONFIG.panelLayoutEndpoint,
+            powerDataEndpoint: CONFIG.powerDataEndpoint
+        };
+        
+        try {
+            return DataSource.create(name, name === 'pv6' ? { ...pv6Options, ...options } : options);
+        } catch (error) {
+            console.error('Error creating data source:', error);
+            this.updateStatus(`${error.message} - falling back to PV6`);
+            return DataSource.create('pv6', pv6Options);
+        }
+    }
+    
+    // Fill today's history from the data source when it keeps its own (replay files, HTTP sources)
+    async loadSourceHistory() {
+        try {
+            const since = this.getStartOfDay(Date.now());
+            const polls = await this.dataSource.loadHistory(since, Date.now());
+            if (polls.length === 0) {
+                return;
+            }
+            
+            console.log(`Loading ${polls.length} polls of history from the data source`);
+            for (const poll of polls) {
+                const readings = poll.devices
+                    .filter(device => device.SERIAL && this.isInverter(device))
+                    .map(device => ({ serial: device.SERIAL.toUpperCase(), power: this.getPowerValue(device) }));
+                await this.recordHistory(poll.timestamp, readings);
+            }
+        } catch (error) {
+            console.error('Error loading history from data source:', error);
+        }
+    }
+    
+    async initHistory() {
+        if (CONFIG.historyEnabled === false) {
+            console.log('Power history disabled in config');
+            return;
+        }
+        
+        try {
+            this.historyStore = new PowerHistoryStore({
+                retentionDays: CONFIG.historyRetentionDays || 30
+            });
+            await this.historyStore.open();
+            await this.historyStore.prune();
+            this.energyTracker = new EnergyTracker(this.historyStore);
+            this.energyTotals = await this.energyTracker.getTotals();
+            await this.loadTodayHistory();
+        } catch (error) {
+            console.error('Error opening power history store:', error);
+            this.historyStore = null;
+        }
+    }
+    
+    // Preload today's readings so sparklines have data straight away
+    async loadTodayHistory() {
+        this.panelHistory = {};
+        this.panelHistoryDay = this.getStartOfDay(Date.now());
+        if (!this.historyStore) {
+            return;
+        }
+        
+        const readings = await this.historyStore.getReadings(this.panelHistoryDay);
+        readings.forEach(reading => {
+            // Readings saved before serials were upper-cased for storage keep their own case
+            const key = String(reading.serial).toUpperCase();
+            if (!this.panelHistory[key]) {
+                this.panelHistory[key] = [];
+            }
+            this.panelHistory[key].push({ timestamp: reading.timestamp, power: reading.power });
         });
+        console.log(`Loaded ${readings.length} history readings for today`);
+    }
+    
+    // Add a poll to the in-memory history used by the sparklines
+    appendPanelHistory(timestamp, readings) {
+        // Start a fresh in-memory day at midnight
+        const day = this.getStartOfDay(timestamp);
+        if (day !== this.panelHistoryDay) {
+            this.panelHistory = {};
+            this.panelHistoryDay = day;
+        }
         
-        const result = isNaN(fallback) ? 0 : fallback;
-        console.log('getPowerValue returning (from fallback):', result, 'W');
-        return result;
+        readings.forEach(reading => {
+            if (!this.panelHistory[reading.serial]) {
+                this.panelHistory[reading.serial] = [];
+            }
+            this.panelHistory[reading.serial].push({ timestamp: timestamp, power: reading.power });
+        });
+    }
+    
+    async recordHistory(timestamp, readings) {
+        if (readings.length === 0) {
+            return;
+        }
+        
+        this.appendPanelHistory(timestamp, readings);
+        
+        if (!this.historyStore) {
+            return;
+        }
+        
+        try {
+            await this.historyStore.addReadings(timestamp, readings);
+        } catch (error) {
+            console.error('Error saving power history:', error);
+        }
+        
+        if (this.isHistoryPanelVisible()) {
+            this.loadHistoryChart();
+        }
+    }
+    
+    // Turn lifetime counter readings into today/week/month/lifetime energy totals
+    async updateEnergy(timestamp, readings) {
+        if (this.energyTracker) {
+            try {
+                await this.energyTracker.recordCounters(timestamp, readings);
+                this.energyTotals = await this.energyTracker.getTotals(timestamp);
+            } catch (error) {
+                console.error('Error updating energy totals:', error);
+            }
+        } else {
+            // Without the history store only the lifetime counters are known
+            this.energyTotals = { array: { today: null, week: null, month: null, lifetime: 0 }, inverters: {} };
+            readings.forEach(reading => {
+                if (reading.kwh !== null) {
+                    this.energyTotals.inverters[reading.serial] = { today: null, week: null, month: null, lifetime: reading.kwh };
+                    this.energyTotals.array.lifetime += reading.kwh;
+                }
+            });
+        }
+        
+        this.updateSummary();
+    }
+    
+    // Energy totals for a panel, trying each of its identifiers
+    getPanelEnergy(panel) {
+        if (!this.energyTotals) {
+            return null;
+        }
+        return InventoryCheck.lookup(panel, this.energyTotals.inverters);
+    }
+    
+    getStartOfDay(timestamp) {
+        const date = new Date(timestamp);
+        date.setHours(0, 0, 0, 0);
+        return date.getTime();
+    }
+    
+    // Today's readings for a panel, trying each of its identifiers
+    getPanelHistory(panel) {
+        return InventoryCheck.lookup(panel, this.panelHistory) || [];
+    }
+    
+    isHistoryPanelVisible() {
+        const historyPanel = document.getElementById('historyPanel');
+        return historyPanel && !historyPanel.classList.contains('hidden');
+    }
+    
+    toggleHistoryPanel() {
+        const historyPanel = document.getElementById('historyPanel');
+        if (!historyPanel) return;
+        
+        historyPanel.classList.toggle('hidden');
+        if (this.isHistoryPanelVisible()) {
+            this.loadHistoryChart();
+        }
+    }
+    
+    // Draw whole-array production for the day selected in the history panel
+    async loadHistoryChart() {
+        const chartContainer = document.getElementById('historyChart');
+        const dateInput = document.getElementById('historyDate');
+        if (!chartContainer) return;
+        
+        if (!this.historyStore) {
+            chartContainer.innerHTML = '<p class="history-message">History is not available (IndexedDB disabled or unsupported).</p>';
+            return;
+        }
+        
+        // Default to today
+        if (dateInput && !dateInput.value) {
+            const today = new Date();
+            const month = String(today.getMonth() + 1).padStart(2, '0');
+            const day = String(today.getDate()).padStart(2, '0');
+            dateInput.value = `${today.getFullYear()}-${month}-${day}`;
+        }
+        
+        const [year, month, day] = (dateInput ? dateInput.value : '').split('-').map(Number);
+        const start = year ? new Date(year, month - 1, day).getTime() : this.getStartOfDay(Date.now());
+        const end = start + 24 * 60 * 60 * 1000 - 1;
+        
+        try {
+            const points = await this.historyStore.getArrayHistory(start, end);
+            const peak = points.reduce((max, p) => Math.max(max, p.power), 0);
+            chartContainer.innerHTML = PowerCharts.timeSeries(points, { start, end, width: 600, height: 220 }) +
+                `<p class="history-message">${points.length} polls recorded, peak ${PowerCharts.formatPower(peak)}</p>`;
+        } catch (error) {
+            console.error('Error loading history chart:', error);
+            chartContainer.innerHTML = `<p class="history-message">Error loading history: ${error.message}</p>`;
+        }
+    }
+    
+    async clearHistory() {
+        if (!this.historyStore) return;
+        if (!confirm('Delete all recorded power history from this browser?')) return;
+        
+        await this.historyStore.clear();
+        this.panelHistory = {};
+        this.updateStatus('Power history cleared');
+        this.loadHistoryChart();
     }
 
-    setupEventListeners() {
-        const canvas = document.getElementById('panelCanvas');
-        const refreshNowBtn = document.getElementById('refreshNow');
-        const refreshIntervalInput = document.getElementById('refreshInterval');
-        const exportLayoutBtn = document.getElementById('exportLayout');
-        const editPlacementCheckbox = document.getElementById('editPlacement');
-        const tooltip = document.getElementById('tooltip');
-
-        // Refresh now button
-        refreshNowBtn.addEventListener('click', () => {
-            this.loadPowerData();
+    // Production, household load, grid import/export and PVS supervisor details (see SolarCore)
+    parseSiteDevices(devices, inverters) {
+        const siteData = SolarCore.parseSiteDevices(devices, inverters, CONFIG.consumptionMeterMode);
+        if (siteData) {
+            console.log('Site data:', siteData);
+        } else {
+            console.log('No site meters or PVS supervisor found in DeviceList');
+        }
+        return siteData;
+    }
+    
+    formatUptime(seconds) {
+        if (isNaN(seconds)) {
+            return '—';
+        }
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return days > 0 ? `${days}d ${hours}h ${minutes}m` : `${hours}h ${minutes}m`;
+    }
+    
+    updateSitePanel() {
+        const siteBox = document.getElementById('siteBox');
+        const siteContent = document.getElementById('siteContent');
+        if (!siteBox || !siteContent) return;
+        
+        if (!this.siteData) {
+            siteBox.classList.add('hidden');
+            return;
+        }
+        siteBox.classList.remove('hidden');
+        
+        const site = this.siteData;
+        const rows = [];
+        rows.push(['Production', PowerCharts.formatPower(Math.max(site.production, 0)) +
+            (site.productionSource === 'inverters' ? ' (inverters)' : '')]);
+        if (site.load !== null) {
+            rows.push(['Household Load', PowerCharts.formatPower(Math.max(site.load, 0))]);
+        }
+        if (site.grid !== null) {
+            const direction = site.grid < 0 ? 'Exporting' : 'Importing';
+            rows.push(['Grid', `${direction} ${PowerCharts.formatPower(Math.abs(site.grid))}`, site.grid < 0 ? 'exporting' : 'importing']);
+        }
+        if (site.productionLifetimeKwh !== null && !isNaN(site.productionLifetimeKwh)) {
+            rows.push(['Meter Lifetime', this.formatEnergy(site.productionLifetimeKwh)]);
+        }
+        if (site.supervisor) {
+            rows.push(['PVS Firmware', site.supervisor.firmware || '—']);
+            rows.push(['PVS Uptime', this.formatUptime(site.supervisor.uptimeSeconds)]);
+            rows.push(['Comm Errors', isNaN(site.supervisor.commErrors) ? '—' : site.supervisor.commErrors.toString()]);
+            rows.push(['Error Count', isNaN(site.supervisor.errorCount) ? '—' : site.supervisor.errorCount.toString()]);
+        }
+        
+        siteContent.innerHTML = '';
+        rows.forEach(([label, value, modifier]) => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+            const labelElement = document.createElement('span');
+            labelElement.className = 'summary-label';
+            labelElement.textContent = `${label}:`;
+            const valueElement = document.createElement('span');
+            valueElement.className = modifier ? `summary-value ${modifier}` : 'summary-value';
+            valueElement.textContent = value;
+            item.appendChild(labelElement);
+            item.appendChild(valueElement);
+            siteContent.appendChild(item);
         });
-
-        // Refresh interval input
-        refreshIntervalInput.addEventListener('change', (e) => {
-            this.refreshIntervalMinutes = parseInt(e.target.value) || 5;
-            this.startAutoRefresh();
+    }
+    
+    initAnomalyDetection() {
+        const options = CONFIG.anomalyDetection || {};
+        if (options.enabled === false) {
+            console.log('Anomaly detection disabled in config');
+            return;
+        }
+        this.anomalyDetector = new AnomalyDetector(options);
+    }
+    
+    initAlerts() {
+        const options = CONFIG.alerts || {};
+        if (options.enabled === false || !options.rules || options.rules.length === 0) {
+            console.log('No alert rules configured');
+            this.updateAlerts();
+            return;
+        }
+        try {
+            this.alertRules = new AlertRules(options);
+        } catch (error) {
+            // Still alert, just without remembering alerts across reloads
+            console.warn('Alerts can\'t be saved in this browser:', error);
+            this.alertRules = new AlertRules({ ...options, storage: null });
+        }
+        console.log(`${this.alertRules.rules.length} alert rule(s) active`);
+        this.updateAlerts();
+    }
+    
+    // Run the alert rules against the poll that just finished (or failed)
+    evaluateAlerts(poll) {
+        if (!this.alertRules) return;
+        
+        const inverters = poll.ok ? this.inverterSerials.map(serial => this.powerData[serial]).filter(device => device) : [];
+        const fired = this.alertRules.evaluate({
+            ...poll,
+            inverters: inverters,
+            totalPower: inverters.reduce((sum, device) => sum + this.getPowerValue(device), 0)
         });
-
-        // Export layout button
-        if (exportLayoutBtn) {
-            exportLayoutBtn.addEventListener('click', () => {
-                this.exportPanelLayout();
+        fired.forEach(alert => this.notifyAlert(alert));
+        this.updateAlerts();
+    }
+    
+    notifyAlert(alert) {
+        console.warn(`Alert: ${alert.name} - ${alert.message}`);
+        if ((CONFIG.alerts || {}).notifications === false || typeof Notification === 'undefined' || Notification.permission !== 'granted') {
+            return;
+        }
+        try {
+            new Notification(`Solar alert: ${alert.name}`, { body: alert.message, tag: alert.ruleId });
+        } catch (error) {
+            // Some browsers only allow notifications from a service worker
+            console.warn('Could not show a notification:', error);
+        }
+    }
+    
+    async enableNotifications() {
+        if (typeof Notification === 'undefined') return;
+        const permission = await Notification.requestPermission();
+        this.updateStatus(permission === 'granted' ? 'Alert notifications enabled' : 'Alert notifications were not allowed');
+        this.updateAlerts();
+    }
+    
+    toggleAlertLog() {
+        const alertLog = document.getElementById('alertLog');
+        if (alertLog) {
+            alertLog.classList.toggle('hidden');
+        }
+    }
+    
+    // Banner of unacknowledged alerts, the alert log and the count on the Alerts button
+    updateAlerts() {
+        const banner = document.getElementById('alertBanner');
+        const logList = document.getElementById('alertLogList');
+        const alertsBtn = document.getElementById('showAlerts');
+        const notificationsBtn = document.getElementById('enableNotifications');
+        if (!banner || !logList) return;
+        
+        const pending = this.alertRules ? this.alertRules.getUnacknowledged() : [];
+        const log = this.alertRules ? this.alertRules.log : [];
+        const snoozeMinutes = (CONFIG.alerts || {}).snoozeMinutes || 60;
+        const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+        
+        alertsBtn.textContent = pending.length > 0 ? `Alerts (${pending.length})` : 'Alerts';
+        alertsBtn.classList.toggle('alerting', pending.length > 0);
+        notificationsBtn.classList.toggle('hidden', !this.alertRules || (CONFIG.alerts || {}).notifications === false ||
+            typeof Notification === 'undefined' || Notification.permission !== 'default');
+        
+        banner.innerHTML = '';
+        banner.classList.toggle('hidden', pending.length === 0);
+        pending.forEach(alert => {
+            const item = document.createElement('div');
+            item.className = 'alert-item';
+            const name = document.createElement('span');
+            name.className = 'alert-name';
+            name.textContent = alert.name;
+            const message = document.createElement('span');
+            message.className = 'alert-message';
+            message.textContent = `${alert.message} (since ${new Date(alert.firedAt).toLocaleTimeString()})`;
+            const acknowledgeBtn = document.createElement('button');
+            acknowledgeBtn.textContent = 'Acknowledge';
+            acknowledgeBtn.addEventListener('click', () => {
+                this.alertRules.acknowledge(alert.id);
+                this.updateAlerts();
+            });
+            const snoozeBtn = document.createElement('button');
+            snoozeBtn.className = 'secondary';
+            snoozeBtn.textContent = snoozeMinutes % 60 === 0 ? `Snooze ${snoozeMinutes / 60} h` : `Snooze ${snoozeMinutes} min`;
+            snoozeBtn.addEventListener('click', () => {
+                this.alertRules.snooze(alert.id, snoozeMinutes);
+                this.updateAlerts();
             });
+            item.appendChild(name);
+            item.appendChild(message);
+            item.appendChild(acknowledgeBtn);
+            item.appendChild(snoozeBtn);
+            banner.appendChild(item);
+        });
+        
+        logList.innerHTML = '';
+        if (log.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'alert-log-empty';
+            empty.textContent = this.alertRules ? 'No alerts so far' : 'No alert rules configured (see alerts in config.js)';
+            logList.appendChild(empty);
         }
-
-        // Edit placement checkbox
-        if (editPlacementCheckbox) {
-            editPlacementCheckbox.addEventListener('change', (e) => {
-                this.editPlacementEnabled = e.target.checked;
-                this.updateCursorStyle();
+        log.forEach(alert => {
+            let status;
+            if (alert.clearedAt) {
+                status = `cleared ${formatTime(alert.clearedAt)}`;
+            } else if (alert.snoozed) {
+                status = 'snoozed';
+            } else {
+                status = alert.acknowledged ? 'active, acknowledged' : 'active';
+            }
+            const item = document.createElement('li');
+            item.className = alert.clearedAt || alert.snoozed ? 'alert-log-item' : 'alert-log-item open';
+            const heading = document.createElement('span');
+            heading.className = 'alert-name';
+            heading.textContent = `${formatTime(alert.firedAt)} — ${alert.name}`;
+            const detail = document.createElement('span');
+            detail.className = 'alert-message';
+            detail.textContent = `${alert.message} (${status})`;
+            item.appendChild(heading);
+            item.appendChild(detail);
+            logList.appendChild(item);
+        });
+    }
+    
+    initPublisher() {
+        const publisher = new Publisher(CONFIG.publish || {});
+        if (publisher.enabled) {
+            console.log(`Publishing readings to ${publisher.targets.map(target => target.name).join(' and ')}`);
+            this.publisher = publisher;
+        }
+    }
+    
+    // Site totals and one entry per inverter for webhook/MQTT consumers (see publisher.js)
+    buildPublishPayload(timestamp) {
+        const round = (value, digits) => (value === null || value === undefined || isNaN(value) ? null : Number(value.toFixed(digits)));
+        const devices = this.inverterSerials.map(serial => this.powerData[serial]).filter(device => device);
+        const arrayEnergy = this.energyTotals ? this.energyTotals.array : {};
+        const inverterEnergy = this.energyTotals ? this.energyTotals.inverters : {};
+        const panelsBySerial = {};
+        this.panels.forEach(panel => {
+            InventoryCheck.panelKeys(panel).forEach(key => {
+                panelsBySerial[key] = panel;
             });
+        });
+        
+        const panels = devices.map(device => {
+            const panel = panelsBySerial[String(device.SERIAL).toUpperCase()] || null;
+            const group = panel ? this.getGroup(panel) : null;
+            const energy = inverterEnergy[String(device.SERIAL).toUpperCase()] || {};
+            return {
+                serial: device.SERIAL,
+                panel_id: panel ? panel.id : null,
+                group: group ? group.name : null,
+                model: device.MODEL || null,
+                firmware: device.SWVER || null,
+                state: device.STATEDESCR || device.STATE || null,
+                power_w: round(this.getPowerValue(device), 1),
+                heatsink_c: round(parseFloat(device.t_htsnk_degc), 1),
+                energy_today_kwh: round(energy.today, 3),
+                energy_lifetime_kwh: round(energy.lifetime, 3)
+            };
+        });
+        
+        const site = this.siteData || {};
+        const production = site.production !== undefined
+            ? site.production
+            : devices.reduce((total, device) => total + this.getPowerValue(device), 0);
+        return {
+            timestamp: new Date(timestamp).toISOString(),
+            site: {
+                production_w: round(production, 1),
+                consumption_w: round(site.load, 1),
+                grid_w: round(site.grid, 1),
+                panels_total: this.panels.length,
+                panels_producing: panels.filter(panel => panel.power_w > 0).length,
+                energy_today_kwh: round(arrayEnergy.today, 3),
+                energy_lifetime_kwh: round(arrayEnergy.lifetime, 3)
+            },
+            panels: panels
+        };
+    }
+    
+    publishReadings(timestamp) {
+        if (!this.publisher) return;
+        return this.publisher.publish(this.buildPublishPayload(timestamp));
+    }
+    
+    initSolarModel() {
+        const options = CONFIG.solarModel || {};
+        if (typeof options.latitude !== 'number' || typeof options.longitude !== 'number') {
+            console.log('No location configured, expected production is off');
+            return;
         }
-
-        // Mouse events for dragging
-        canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        canvas.addEventListener('mouseup', () => this.handleMouseUp());
-        canvas.addEventListener('mouseleave', () => this.handleMouseUp());
-
-        // Tooltip positioning
-        canvas.addEventListener('mousemove', (e) => {
-            if (!this.isDragging) {
-                this.updateTooltip(e);
+        this.solarModel = new SolarModel(options);
+    }
+    
+    // Tilt and azimuth (degrees, azimuth clockwise from true north) of a panel's roof face:
+    // set on the panel, then its group, then the solarModel defaults
+    getPanelOrientation(panel) {
+        const options = CONFIG.solarModel || {};
+        const group = this.getGroup(panel) || {};
+        const pick = (key, fallback) => {
+            const value = [panel[key], group[key], options[key]].find(candidate => typeof candidate === 'number');
+            return value !== undefined ? value : fallback;
+        };
+        return {
+            tilt: pick('tilt', 20),
+            azimuth: pick('azimuth', 180)
+        };
+    }
+    
+    // Clear-sky expected watts for a panel at the latest poll, or null without a model or rating
+    getExpectedPower(panel, timestamp = this.lastPollTime || Date.now()) {
+        const nameplate = this.getNameplate(panel);
+        if (!this.solarModel || !nameplate.ratedWatts) {
+            return null;
+        }
+        return this.solarModel.expectedPower(timestamp, {
+            ...this.getPanelOrientation(panel),
+            ratedWatts: nameplate.ratedWatts,
+            inverterRatedWatts: nameplate.inverterRatedWatts
+        });
+    }
+    
+    // Actual as a percentage of expected. Null around sunrise and sunset, when the expected
+    // output is too small for the ratio to mean anything.
+    getExpectedRatio(panel, power) {
+        const expected = this.getExpectedPower(panel);
+        const rated = this.getRatedWatts(panel);
+        if (expected === null || expected < rated * 0.05) {
+            return null;
+        }
+        return power / expected * 100;
+    }
+    
+    // Power data for a panel, trying each of its identifiers
+    // Serials match case-insensitively, as in the layout check
+    getPowerInfo(panel) {
+        return InventoryCheck.lookup(panel, this.powerData);
+    }
+    
+    // When the PVS last heard from each inverter. DATATIME is when the PVS got the reading,
+    // on the PVS clock, so it's measured back from CURTIME to stay on the browser's clock.
+    updateLastSeen(inverters, timestamp) {
+        inverters.forEach(device => {
+            if (!device.SERIAL) return;
+            const dataTime = this.parseDeviceTime(device.DATATIME);
+            const pvsTime = this.parseDeviceTime(device.CURTIME);
+            const seen = dataTime !== null && pvsTime !== null ? Math.min(timestamp, timestamp - (pvsTime - dataTime)) : timestamp;
+            this.lastSeen[device.SERIAL.toUpperCase()] = seen;
+        });
+    }
+    
+    getLastSeen(panel) {
+        return InventoryCheck.lookup(panel, this.lastSeen);
+    }
+    
+    // Age of a panel's reading, against the replayed poll's time during a replay
+    getReadingAge(panel) {
+        const seen = this.getLastSeen(panel);
+        if (seen === null) {
+            return null;
+        }
+        return (this.replayActive ? this.lastPollTime : Date.now()) - seen;
+    }
+    
+    // A reading older than polling.staleAfterMinutes (by default three refresh intervals, at
+    // least 15 minutes) isn't shown as current. While polling sleeps for the night, readings are
+    // only refreshed on the heartbeat, so they get three heartbeats.
+    isPanelStale(panel) {
+        const age = this.getReadingAge(panel);
+        const polling = CONFIG.polling || {};
+        let staleAfterMinutes = polling.staleAfterMinutes || Math.max(15, this.refreshIntervalMinutes * 3);
+        if (this.sleeping) {
+            staleAfterMinutes = Math.max(staleAfterMinutes, ((CONFIG.sleep || {}).heartbeatMinutes || 30) * 3);
+        }
+        return age !== null && age > staleAfterMinutes * 60000;
+    }
+    
+    // Compare every panel with its peers and update the Issues panel
+    detectAnomalies(timestamp) {
+        if (!this.anomalyDetector) {
+            return;
+        }
+        
+        const reporting = [];
+        this.panels.forEach(panel => {
+            const powerInfo = this.getPowerInfo(panel);
+            if (powerInfo) {
+                const entry = { panel: panel, power: this.getPowerValue(powerInfo) };
+                // Compare against expected output so differently oriented peers still line up
+                if (this.solarModel && (CONFIG.anomalyDetection || {}).normalizeByExpected !== false) {
+                    entry.expected = this.getExpectedPower(panel, timestamp);
+                }
+                reporting.push(entry);
+            }
+        });
+        
+        this.issues = this.anomalyDetector.evaluate(reporting, timestamp);
+        if (this.issues.length > 0) {
+            console.warn(`${this.issues.length} panel(s) flagged as underperforming`);
+        }
+        this.updateIssuesPanel();
+    }
+    
+    updateIssuesPanel() {
+        const issuesBox = document.getElementById('issuesBox');
+        const issuesList = document.getElementById('issuesList');
+        if (!issuesBox || !issuesList) return;
+        
+        if (this.issues.length === 0) {
+            issuesBox.classList.add('hidden');
+            issuesList.innerHTML = '';
+            return;
+        }
+        
+        issuesBox.classList.remove('hidden');
+        issuesList.innerHTML = '';
+        this.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.className = `issue-item issue-${issue.type}`;
+            let description;
+            if (issue.type === 'zero') {
+                description = issue.normalized
+                    ? `Reporting 0 W while its peers suggest ${issue.peerMedian.toFixed(0)} W`
+                    : `Reporting 0 W while peers produce ${issue.peerMedian.toFixed(0)} W`;
+            } else {
+                description = issue.normalized
+                    ? `${issue.power.toFixed(0)} W, ${issue.percentBelow.toFixed(0)}% below the ${issue.peerMedian.toFixed(0)} W its peers suggest`
+                    : `${issue.power.toFixed(0)} W, ${issue.percentBelow.toFixed(0)}% below peer median of ${issue.peerMedian.toFixed(0)} W`;
             }
+            
+            const serial = document.createElement('span');
+            serial.className = 'issue-serial';
+            serial.textContent = issue.serial;
+            const detail = document.createElement('span');
+            detail.className = 'issue-detail';
+            detail.textContent = `${description} (since ${new Date(issue.since).toLocaleTimeString()})`;
+            
+            item.appendChild(serial);
+            item.appendChild(detail);
+            issuesList.appendChild(item);
         });
     }
-
-    handleMouseDown(e) {
-        // Only allow dragging if edit placement is enabled
-        if (!this.editPlacementEnabled) {
+    
+    updateSummary() {
+        let totalPower = 0;
+        let activePanels = 0;
+        
+        // Calculate total power from all panels
+        this.panels.forEach(panel => {
+            const powerInfo = this.getPowerInfo(panel) || {};
+            const power = this.getPowerValue(powerInfo);
+            
+            if (power > 0) {
+                totalPower += power;
+                activePanels++;
+            }
+        });
+        
+        // Update summary display
+        const totalPowerElement = document.getElementById('totalPower');
+        const activePanelsElement = document.getElementById('activePanels');
+        const totalPanelsElement = document.getElementById('totalPanels');
+        
+        if (totalPowerElement) {
+            // Format power: show kW if >= 1000W, otherwise show W
+            if (totalPower >= 1000) {
+                totalPowerElement.textContent = `${(totalPower / 1000).toFixed(2)} kW`;
+            } else {
+                totalPowerElement.textContent = `${totalPower.toFixed(1)} W`;
+            }
+        }
+        
+        if (activePanelsElement) {
+            activePanelsElement.textContent = activePanels.toString();
+        }
+        
+        if (totalPanelsElement) {
+            totalPanelsElement.textContent = this.panels.length.toString();
+        }
+        
+        // Nameplate ratings
+        const rating = this.getArrayRating();
+        const ratingFields = {
+            arrayRating: rating.dcWatts > 0 ? `${(rating.dcWatts / 1000).toFixed(2)} kWp` : '—',
+            dcAcRatio: rating.dcAcRatio !== null ? rating.dcAcRatio.toFixed(2) : '—',
+            percentOfRating: rating.dcWatts > 0 ? `${(totalPower / rating.dcWatts * 100).toFixed(0)}%` : '—',
+            specificYieldToday: this.formatSpecificYield(
+                this.getSpecificYield(this.energyTotals ? this.energyTotals.array.today : null, rating.dcWatts))
+        };
+        // Against the clear-sky model: well below on every panel means cloud, not faults
+        let expectedTotal = null;
+        if (this.solarModel) {
+            expectedTotal = this.panels.reduce((sum, panel) => sum + (this.getExpectedPower(panel) || 0), 0);
+        }
+        const minExpected = rating.dcWatts * 0.05;
+        ratingFields.expectedPower = expectedTotal === null ? '—' : PowerCharts.formatPower(expectedTotal);
+        if (expectedTotal === null || expectedTotal < minExpected) {
+            ratingFields.percentOfExpected = '—';
+        } else {
+            const percent = totalPower / expectedTotal * 100;
+            ratingFields.percentOfExpected = `${percent.toFixed(0)}%${percent < 50 ? ' (cloudy?)' : ''}`;
+        }
+        Object.keys(ratingFields).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = ratingFields[id];
+            }
+        });
+        const arrayRatingElement = document.getElementById('arrayRating');
+        if (arrayRatingElement && rating.ratedPanels < this.panels.length) {
+            arrayRatingElement.title = `${rating.ratedPanels} of ${this.panels.length} panels have a rating`;
+        }
+        
+        // Energy produced by the whole array
+        const energy = this.energyTotals ? this.energyTotals.array : {};
+        const energyFields = {
+            energyToday: energy.today,
+            energyWeek: energy.week,
+            energyMonth: energy.month,
+            energyLifetime: energy.lifetime
+        };
+        Object.keys(energyFields).forEach(id => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = this.formatEnergy(energyFields[id]);
+            }
+        });
+        
+        this.updateGroupSummary();
+        this.updateInventoryCheck();
+        this.renderDetailDrawer();
+    }
+    
+    // Compare the layout with the inverters in the latest poll and list any mismatches
+    updateInventoryCheck() {
+        const inventoryBox = document.getElementById('inventoryBox');
+        const inventoryContent = document.getElementById('inventoryContent');
+        
+        this.inventory = this.inverterSerials ? InventoryCheck.reconcile(this.panels, this.inverterSerials) : null;
+        if (!inventoryBox || !inventoryContent) return;
+        
+        if (!this.inventory || InventoryCheck.isClean(this.inventory)) {
+            inventoryBox.classList.add('hidden');
+            inventoryContent.innerHTML = '';
+            return;
+        }
+        
+        inventoryBox.classList.remove('hidden');
+        inventoryContent.innerHTML = '';
+        
+        const addSection = (title, items) => {
+            if (items.length === 0) return;
+            const heading = document.createElement('h4');
+            heading.textContent = `${title} (${items.length})`;
+            const list = document.createElement('ul');
+            list.className = 'inventory-list';
+            items.forEach(({ label, detail, panelId }) => {
+                const item = document.createElement('li');
+                const name = document.createElement('span');
+                name.className = 'inventory-serial';
+                name.textContent = label;
+                item.appendChild(name);
+                if (detail) {
+                    const extra = document.createElement('span');
+                    extra.className = 'inventory-detail';
+                    extra.textContent = detail;
+                    item.appendChild(extra);
+                }
+                // Click to find the panel on the canvas
+                if (panelId) {
+                    item.classList.add('clickable');
+                    item.title = 'Zoom to this panel';
+                    item.addEventListener('click', () => {
+                        const panel = this.panels.find(p => p.id === panelId);
+                        if (panel) {
+                            this.zoomToPanel(panel);
+                        }
+                    });
+                }
+                list.appendChild(item);
+            });
+            inventoryContent.appendChild(heading);
+            inventoryContent.appendChild(list);
+        };
+        
+        addSection('No matching inverter', this.inventory.unmatchedPanels.map(panel => ({
+            label: panel.inverterSerialNumber || panel.serialNumber || panel.id,
+            detail: 'In the layout but not in DeviceList',
+            panelId: panel.id
+        })));
+        addSection('Not in layout', this.inventory.unplacedInverters.map(serial => ({
+            label: serial,
+            detail: 'Reported by DeviceList but not placed'
+        })));
+        addSection('Duplicate serials', this.inventory.duplicates.map(duplicate => ({
+            label: duplicate.serial,
+            detail: duplicate.source === 'layout'
+                ? `Used by ${duplicate.count} panels: ${duplicate.panelIds.join(', ')}`
+                : `Reported ${duplicate.count} times in DeviceList`,
+            panelId: duplicate.panelIds[0]
+        })));
+        
+        if (this.inventory.unplacedInverters.length > 0) {
+            const placeBtn = document.createElement('button');
+            placeBtn.className = 'inventory-place';
+            placeBtn.textContent = `Place ${this.inventory.unplacedInverters.length} on canvas`;
+            placeBtn.addEventListener('click', () => this.placeUnplacedInverters());
+            inventoryContent.appendChild(placeBtn);
+        }
+    }
+    
+    // Add a panel for each inverter that isn't in the layout, in a block to the right of the
+    // array, and switch to Edit placement so they can be dragged into position
+    placeUnplacedInverters() {
+        if (!this.inventory || this.inventory.unplacedInverters.length === 0 || this.blockedByLayoutPreview()) {
+            return;
+        }
+        
+        const serials = this.inventory.unplacedInverters;
+        const panelModule = this.getPanelModule('default');
+        const spacing = this.getPanelGap() * 2;
+        const bounds = this.getLayoutBounds() || { minX: 0, minY: 0, maxX: -panelModule.width, maxY: 0 };
+        const columns = Math.min(serials.length, 4);
+        
+        const before = this.snapshotLayout();
+        const added = serials.map((serial, index) => ({
+            id: serial,
+            serialNumber: serial,
+            inverterSerialNumber: serial,
+            x: bounds.maxX + panelModule.width + (index % columns) * (panelModule.width + spacing),
+            y: bounds.minY + Math.floor(index / columns) * (panelModule.height + spacing),
+            width: panelModule.width,
+            height: panelModule.height,
+            planeRotation: 0,
+            panelType: 'default'
+        }));
+        this.panels = this.panels.concat(added);
+        this.commitLayoutChange(added.length > 1 ? 'Place inverters' : 'Place inverter', before);
+        
+        const editPlacementCheckbox = document.getElementById('editPlacement');
+        if (editPlacementCheckbox && !editPlacementCheckbox.checked) {
+            editPlacementCheckbox.checked = true;
+            editPlacementCheckbox.dispatchEvent(new Event('change'));
+        }
+        
+        this.setSelection(added.map(panel => panel.id));
+        this.updateSummary();
+        this.fitToView();
+        this.render();
+        this.updateStatus(`Placed ${added.length} inverter${added.length > 1 ? 's' : ''} - drag them into position`);
+    }
+    
+    formatEnergy(kwh) {
+        if (kwh === null || kwh === undefined || isNaN(kwh)) {
+            return '—';
+        }
+        if (kwh >= 1000) {
+            return `${(kwh / 1000).toFixed(2)} MWh`;
+        }
+        return `${kwh.toFixed(2)} kWh`;
+    }
+    
+    // Lifetime energy counter in kWh, or null if the device doesn't report one
+    getEnergyValue(device) {
+        return SolarCore.getEnergyValue(device);
+    }
+
+    isInverter(device) {
+        return SolarCore.isInverter(device);
+    }
+
+    getPowerValue(device) {
+        return SolarCore.getPowerValue(device);
+    }
+
+    setupEventListeners() {
+        const canvas = document.getElementById('panelCanvas');
+        const refreshNowBtn = document.getElementById('refreshNow');
+        const refreshIntervalInput = document.getElementById('refreshInterval');
+        const exportLayoutBtn = document.getElementById('exportLayout');
+        const editPlacementCheckbox = document.getElementById('editPlacement');
+        const showHistoryBtn = document.getElementById('showHistory');
+        const historyDateInput = document.getElementById('historyDate');
+        const clearHistoryBtn = document.getElementById('clearHistory');
+        const closeHistoryBtn = document.getElementById('closeHistory');
+        const tooltip = document.getElementById('tooltip');
+
+        // Refresh now button
+        refreshNowBtn.addEventListener('click', () => {
+            this.poller.pollNow();
+        });
+
+        // Refresh interval input
+        refreshIntervalInput.addEventListener('change', (e) => {
+            // Fractions of a minute are fine, down to 6 seconds
+            this.refreshIntervalMinutes = Math.max(0.1, parseFloat(e.target.value) || 5);
+            this.poller.setIntervalMs(this.getPollIntervalMs());
+        });
+        
+        // Live mode
+        const liveModeCheckbox = document.getElementById('liveMode');
+        if (liveModeCheckbox) {
+            liveModeCheckbox.addEventListener('change', (e) => {
+                this.setLiveMode(e.target.checked);
+            });
+        }
+        ['pointermove', 'pointerdown', 'keydown', 'wheel'].forEach(type => {
+            document.addEventListener(type, () => {
+                this.lastActivity = Date.now();
+            }, { passive: true });
+        });
+
+        // Export layout button
+        if (exportLayoutBtn) {
+            exportLayoutBtn.addEventListener('click', () => {
+                this.exportPanelLayout();
+            });
+        }
+
+        // History panel
+        if (showHistoryBtn) {
+            showHistoryBtn.addEventListener('click', () => {
+                this.toggleHistoryPanel();
+            });
+        }
+        if (historyDateInput) {
+            historyDateInput.addEventListener('change', () => {
+                this.loadHistoryChart();
+            });
+        }
+        if (clearHistoryBtn) {
+            clearHistoryBtn.addEventListener('click', () => {
+                this.clearHistory();
+            });
+        }
+        if (closeHistoryBtn) {
+            closeHistoryBtn.addEventListener('click', () => {
+                this.toggleHistoryPanel();
+            });
+        }
+
+        // Heatmap metric, palette and range
+        const heatmapMetricSelect = document.getElementById('heatmapMetric');
+        const heatmapPaletteSelect = document.getElementById('heatmapPalette');
+        const heatmapRangeSelect = document.getElementById('heatmapRange');
+        const fillSelect = (select, options, value) => {
+            Object.keys(options).forEach(key => {
+                const option = document.createElement('option');
+                option.value = key;
+                option.textContent = options[key].label;
+                select.appendChild(option);
+            });
+            select.value = value;
+        };
+        if (heatmapMetricSelect) {
+            fillSelect(heatmapMetricSelect, this.getHeatmapMetrics(), this.heatmapMetric);
+            heatmapMetricSelect.addEventListener('change', (e) => {
+                this.heatmapMetric = e.target.value;
+                this.render();
+            });
+        }
+        if (heatmapPaletteSelect) {
+            fillSelect(heatmapPaletteSelect, ColorScale.palettes, this.heatmapPalette);
+            heatmapPaletteSelect.addEventListener('change', (e) => {
+                this.heatmapPalette = e.target.value;
+                this.render();
+            });
+        }
+        if (heatmapRangeSelect) {
+            heatmapRangeSelect.value = this.heatmapRange;
+            heatmapRangeSelect.addEventListener('change', (e) => {
+                this.heatmapRange = e.target.value;
+                this.render();
+            });
+        }
+        
+        // Import a layout from a file, by button or by dropping it on the canvas
+        const importLayoutBtn = document.getElementById('importLayout');
+        const importLayoutInput = document.getElementById('importLayoutFile');
+        const canvasContainer = document.getElementById('canvasContainer');
+        if (importLayoutBtn && importLayoutInput) {
+            importLayoutBtn.addEventListener('click', () => importLayoutInput.click());
+            importLayoutInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.importLayoutFile(e.target.files[0]);
+                }
+                e.target.value = '';
+            });
+        }
+        if (canvasContainer) {
+            canvasContainer.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                canvasContainer.classList.add('drop-target');
+            });
+            canvasContainer.addEventListener('dragleave', () => {
+                canvasContainer.classList.remove('drop-target');
+            });
+            canvasContainer.addEventListener('drop', (e) => {
+                e.preventDefault();
+                canvasContainer.classList.remove('drop-target');
+                if (e.dataTransfer && e.dataTransfer.files.length > 0) {
+                    this.importLayoutFile(e.dataTransfer.files[0]);
+                }
+            });
+        }
+        
+        // Named layout versions
+        const layoutVersionSelect = document.getElementById('layoutVersion');
+        const saveLayoutAsBtn = document.getElementById('saveLayoutAs');
+        const deleteLayoutVersionBtn = document.getElementById('deleteLayoutVersion');
+        if (layoutVersionSelect) {
+            layoutVersionSelect.addEventListener('change', (e) => {
+                this.switchLayoutVersion(e.target.value);
+            });
+        }
+        if (saveLayoutAsBtn) {
+            saveLayoutAsBtn.addEventListener('click', () => this.saveLayoutVersionAs());
+        }
+        if (deleteLayoutVersionBtn) {
+            deleteLayoutVersionBtn.addEventListener('click', () => this.deleteLayoutVersion());
+        }
+
+        // Replay of recorded polls
+        const replayBtn = document.getElementById('showReplay');
+        const replayFileInput = document.getElementById('replayFile');
+        const replayPlayBtn = document.getElementById('replayPlay');
+        const replayScrubber = document.getElementById('replayScrubber');
+        const replaySpeedSelect = document.getElementById('replaySpeed');
+        const replayExitBtn = document.getElementById('replayExit');
+        if (replayBtn) {
+            replayBtn.addEventListener('click', () => {
+                this.toggleReplayBar();
+            });
+        }
+        if (replayFileInput) {
+            replayFileInput.addEventListener('change', (e) => {
+                if (e.target.files.length > 0) {
+                    this.startReplay(e.target.files[0]);
+                }
+            });
+        }
+        if (replayPlayBtn) {
+            replayPlayBtn.addEventListener('click', () => {
+                this.toggleReplayPlayback();
+            });
+        }
+        if (replayScrubber) {
+            replayScrubber.addEventListener('input', (e) => {
+                if (this.replayActive) {
+                    this.replay.seek(parseInt(e.target.value));
+                }
+            });
+        }
+        if (replaySpeedSelect) {
+            replaySpeedSelect.addEventListener('change', (e) => {
+                this.replay.setSpeed(parseFloat(e.target.value));
+            });
+        }
+        if (replayExitBtn) {
+            replayExitBtn.addEventListener('click', () => {
+                this.exitReplay();
+            });
+        }
+
+        // Dimensions overlay
+        const showDimensionsCheckbox = document.getElementById('showDimensions');
+        if (showDimensionsCheckbox) {
+            showDimensionsCheckbox.addEventListener('change', (e) => {
+                this.showDimensions = e.target.checked;
+                this.render();
+            });
+        }
+        
+        // Keep the layout fitted to the canvas when the window changes size,
+        // or keep the same centre if the user has zoomed in
+        window.addEventListener('resize', () => {
+            if (this.userZoomed) {
+                const center = this.viewport.getCenter();
+                this.updateViewportSize();
+                this.viewport.centerOn(center.x, center.y);
+            } else {
+                this.fitToView();
+            }
+            this.render();
+        });
+        
+        // Zoom controls
+        const zoomInBtn = document.getElementById('zoomIn');
+        const zoomOutBtn = document.getElementById('zoomOut');
+        const fitAllBtn = document.getElementById('fitAll');
+        const zoomToPanelBtn = document.getElementById('zoomToPanel');
+        if (zoomInBtn) {
+            zoomInBtn.addEventListener('click', () => this.zoomBy(1.25));
+        }
+        if (zoomOutBtn) {
+            zoomOutBtn.addEventListener('click', () => this.zoomBy(0.8));
+        }
+        if (fitAllBtn) {
+            fitAllBtn.addEventListener('click', () => {
+                this.fitToView();
+                this.render();
+            });
+        }
+        if (zoomToPanelBtn) {
+            zoomToPanelBtn.addEventListener('click', () => {
+                const panel = this.panels.find(p => this.selectedPanelIds.has(p.id));
+                if (panel) {
+                    this.zoomToPanel(panel);
+                }
+            });
+        }
+
+        // Edit placement checkbox
+        if (editPlacementCheckbox) {
+            editPlacementCheckbox.addEventListener('change', (e) => {
+                this.editPlacementEnabled = e.target.checked;
+                this.selectionBox = null;
+                document.getElementById('editTools').classList.toggle('hidden', !this.editPlacementEnabled);
+                this.updateCursorStyle();
+            });
+        }
+        
+        // Arrangement tools for the selected panels
+        const editActions = {
+            alignLeft: () => LayoutTools.alignLeft(this.getSelectedPanels()),
+            alignTop: () => LayoutTools.alignTop(this.getSelectedPanels()),
+            distributeHorizontal: () => LayoutTools.distribute(this.getSelectedPanels(), 'x'),
+            distributeVertical: () => LayoutTools.distribute(this.getSelectedPanels(), 'y'),
+            rotateSelection: () => LayoutTools.rotateQuarter(this.getSelectedPanels())
+        };
+        Object.keys(editActions).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.addEventListener('click', () => {
+                    if (this.layoutPreview) return;
+                    const before = this.snapshotLayout();
+                    editActions[id]();
+                    this.commitLayoutChange(button.textContent.trim(), before);
+                    this.render();
+                });
+            }
+        });
+        
+        // Line up rows and columns: the selection, or everything when fewer than two panels are selected
+        document.getElementById('lineUpLayout').addEventListener('click', () => {
+            if (this.layoutPreview) return;
+            const selected = this.getSelectedPanels();
+            if (!this.proposeLineUp(selected.length > 1 ? selected : this.panels)) {
+                this.updateStatus('The panels already line up');
+            }
+        });
+        document.getElementById('acceptLayoutPreview').addEventListener('click', () => this.closeLayoutPreview(true));
+        document.getElementById('rejectLayoutPreview').addEventListener('click', () => this.closeLayoutPreview(false));
+        document.getElementById('toggleLayoutPreview').addEventListener('click', () => this.toggleLayoutPreview());
+        
+        // Alerts
+        document.getElementById('showAlerts').addEventListener('click', () => this.toggleAlertLog());
+        document.getElementById('closeAlertLog').addEventListener('click', () => this.toggleAlertLog());
+        document.getElementById('enableNotifications').addEventListener('click', () => this.enableNotifications());
+        document.getElementById('clearAlertLog').addEventListener('click', () => {
+            if (this.alertRules) {
+                this.alertRules.clearLog();
+                this.updateAlerts();
+            }
+        });
+        
+        // Panel detail drawer
+        document.getElementById('closeDetail').addEventListener('click', () => this.closeDetailDrawer());
+        document.getElementById('toggleRawData').addEventListener('click', () => {
+            this.showRawData = !this.showRawData;
+            this.renderDetailDrawer();
+        });
+        
+        // Roof plane groups
+        const groupAssignSelect = document.getElementById('groupAssign');
+        const editGroupBtn = document.getElementById('editGroup');
+        if (groupAssignSelect) {
+            groupAssignSelect.addEventListener('change', (e) => this.assignSelectionToGroup(e.target.value));
+        }
+        if (editGroupBtn) {
+            editGroupBtn.addEventListener('click', () => this.openGroupDialog());
+        }
+        const applyGroupBtn = document.getElementById('applyGroup');
+        const deleteGroupBtn = document.getElementById('deleteGroup');
+        const cancelGroupBtn = document.getElementById('cancelGroup');
+        if (applyGroupBtn) {
+            applyGroupBtn.addEventListener('click', () => this.applyGroupDialog());
+        }
+        if (deleteGroupBtn) {
+            deleteGroupBtn.addEventListener('click', () => this.deleteGroupFromDialog());
+        }
+        if (cancelGroupBtn) {
+            cancelGroupBtn.addEventListener('click', () => {
+                document.getElementById('groupDialog').classList.add('hidden');
+            });
+        }
+        
+        // Nameplate editing for the selected panels
+        const editNameplateBtn = document.getElementById('editNameplate');
+        const applyNameplateBtn = document.getElementById('applyNameplate');
+        const cancelNameplateBtn = document.getElementById('cancelNameplate');
+        if (editNameplateBtn) {
+            editNameplateBtn.addEventListener('click', () => this.openNameplateDialog());
+        }
+        if (applyNameplateBtn) {
+            applyNameplateBtn.addEventListener('click', () => this.applyNameplateDialog());
+        }
+        if (cancelNameplateBtn) {
+            cancelNameplateBtn.addEventListener('click', () => {
+                document.getElementById('nameplateDialog').classList.add('hidden');
+            });
+        }
+        
+        const snapToGridCheckbox = document.getElementById('snapToGrid');
+        const gridSpacingInput = document.getElementById('gridSpacing');
+        if (snapToGridCheckbox) {
+            snapToGridCheckbox.addEventListener('change', (e) => {
+                this.snapToGrid = e.target.checked;
+            });
+        }
+        if (gridSpacingInput) {
+            gridSpacingInput.value = this.gridSpacing;
+            gridSpacingInput.title = `Grid spacing (${this.getLayoutUnits()})`;
+            gridSpacingInput.addEventListener('change', (e) => {
+                const spacing = parseFloat(e.target.value);
+                if (spacing > 0) {
+                    this.gridSpacing = spacing;
+                } else {
+                    e.target.value = this.gridSpacing;
+                }
+            });
+        }
+        
+        // Undo/redo
+        const undoBtn = document.getElementById('undoLayout');
+        const redoBtn = document.getElementById('redoLayout');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.undoLayoutChange());
+        }
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redoLayoutChange());
+        }
+        
+        // Ctrl+Z / Ctrl+Shift+Z, and arrow keys nudge the selection in edit mode
+        document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+
+        // Mouse events for dragging
+        canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        canvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        canvas.addEventListener('mouseleave', () => this.handleMouseUp());
+        
+        // Mouse wheel zooms around the cursor
+        canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        
+        // Double-click zooms to a panel
+        canvas.addEventListener('dblclick', (e) => {
+            const point = this.getWorldPoint(e);
+            const panel = this.findPanelForElement(document.elementFromPoint(e.clientX, e.clientY)) ||
+                          this.findPanelAtPoint(point.x, point.y);
+            if (panel) {
+                this.zoomToPanel(panel);
+            }
+        });
+        
+        // Touch: one finger pans, two fingers pinch-zoom
+        canvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        canvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        canvas.addEventListener('touchend', (e) => this.handleTouchEnd(e));
+        canvas.addEventListener('touchcancel', (e) => this.handleTouchEnd(e));
+
+        // Tooltip positioning
+        canvas.addEventListener('mousemove', (e) => {
+            if (!this.isDragging && !this.isPanning) {
+                this.updateTooltip(e);
+            }
+        });
+    }
+
+    // Convert a mouse event to layout (world) coordinates through the viewport
+    getWorldPoint(e) {
+        const canvas = document.getElementById('panelCanvas');
+        const rect = canvas.getBoundingClientRect();
+        return this.viewport.screenToWorld(e.clientX - rect.left, e.clientY - rect.top);
+    }
+    
+    // Find the panel under a point in world coordinates
+    findPanelAtPoint(x, y) {
+        return this.panels.find(panel => Geometry.containsPoint(panel, x, y)) || null;
+    }
+    
+    // Find the panel for an SVG element rendered by render()
+    findPanelForElement(element) {
+        const canvas = document.getElementById('panelCanvas');
+        let currentElement = element;
+        
+        // Traverse up the DOM tree to the panel's group
+        while (currentElement && currentElement !== canvas) {
+            if (currentElement.getAttribute && currentElement.getAttribute('data-panel-id')) {
+                const panelId = currentElement.getAttribute('data-panel-id');
+                return this.panels.find(p => 
+                    (p.id === panelId) || 
+                    (p.serialNumber === panelId) || 
+                    (p.inverterSerialNumber === panelId)
+                ) || null;
+            }
+            if (currentElement.querySelector) {
+                const panelRect = currentElement.querySelector(':scope > .panel');
+                if (panelRect) {
+                    currentElement = panelRect;
+                    continue;
+                }
+            }
+            currentElement = currentElement.parentElement || currentElement.parentNode;
+        }
+        return null;
+    }
+
+    handleMouseDown(e) {
+        // Outside edit mode, dragging pans the canvas
+        if (!this.editPlacementEnabled) {
+            this.isPanning = true;
+            this.panStart = { x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY, moved: false };
+            return;
+        }
+
+        // The layout can't be edited while a lined-up version is previewed
+        if (this.layoutPreview) {
+            return;
+        }
+
+        const canvas = document.getElementById('panelCanvas');
+        const point = this.getWorldPoint(e);
+        
+        // Use SVG element-based detection for accurate hit testing,
+        // falling back to coordinate-based detection
+        const elementAtPoint = document.elementFromPoint(e.clientX, e.clientY);
+        
+        // Rotation handles sit on top of the panels
+        const handle = elementAtPoint && elementAtPoint.closest ? elementAtPoint.closest('[data-rotate-panel-id]') : null;
+        if (handle) {
+            const handlePanel = this.panels.find(candidate => candidate.id === handle.getAttribute('data-rotate-panel-id'));
+            if (handlePanel) {
+                this.startRotation(handlePanel, point);
+                return;
+            }
+        }
+        
+        const panel = this.findPanelForElement(elementAtPoint) || this.findPanelAtPoint(point.x, point.y);
+
+        if (panel) {
+            // Shift-click adds or removes a panel without moving anything
+            if (e.shiftKey) {
+                const ids = new Set(this.selectedPanelIds);
+                if (ids.has(panel.id)) {
+                    ids.delete(panel.id);
+                } else {
+                    ids.add(panel.id);
+                }
+                this.setSelection(ids);
+                return;
+            }
+            
+            // Dragging an unselected panel selects just that panel; dragging a selected one
+            // moves the whole selection
+            if (!this.selectedPanelIds.has(panel.id)) {
+                this.selectPanel(panel);
+            }
+            
+            this.isDragging = true;
+            this.dragPanel = panel;
+            this.dragBefore = this.snapshotLayout();
+            this.dragOffset = {
+                x: point.x - panel.x,
+                y: point.y - panel.y
+            };
+            canvas.style.cursor = 'grabbing';
+            
+            // Hide tooltip when dragging starts
+            const tooltip = document.getElementById('tooltip');
+            if (tooltip) {
+                tooltip.classList.add('hidden');
+            }
+        } else {
+            // Start a rubber-band selection on empty space
+            this.selectionBox = {
+                startX: point.x,
+                startY: point.y,
+                endX: point.x,
+                endY: point.y,
+                additive: e.shiftKey
+            };
+        }
+    }
+
+    handleMouseMove(e) {
+        if (this.isPanning) {
+            this.panCanvas(e.clientX, e.clientY);
+            return;
+        }
+        
+        // Stop dragging if edit mode is disabled
+        if ((this.isDragging || this.rotating) && !this.editPlacementEnabled) {
+            this.handleMouseUp();
+            return;
+        }
+        
+        if (this.rotating) {
+            if (this.rotateSelectionTo(this.getWorldPoint(e), e.shiftKey)) {
+                this.render();
+            }
+            return;
+        }
+        
+        if (this.selectionBox) {
+            const point = this.getWorldPoint(e);
+            this.selectionBox.endX = point.x;
+            this.selectionBox.endY = point.y;
+            this.render();
+            return;
+        }
+        
+        if (this.isDragging && this.dragPanel) {
+            const point = this.getWorldPoint(e);
+            let x = point.x - this.dragOffset.x;
+            let y = point.y - this.dragOffset.y;
+            
+            if (this.snapToGrid) {
+                x = LayoutTools.snap(x, this.gridSpacing);
+                y = LayoutTools.snap(y, this.gridSpacing);
+            }
+            
+            // Several panels move together, and only to places where they fit
+            if (this.selectedPanelIds.size > 1) {
+                if (this.moveSelectionBy(x - this.dragPanel.x, y - this.dragPanel.y)) {
+                    this.render();
+                }
+                return;
+            }
+            
+            // Push the panel out of any panel it would overlap, along the shortest way out. Getting clear
+            // of one can put it on another, so go round until it fits anywhere; if it doesn't, it stays
+            // where it was.
+            const padding = this.getPanelGap(); // Minimum spacing
+            let clear = false;
+            for (let pass = 0; pass < 10 && !clear; pass++) {
+                clear = true;
+                for (const panel of this.panels) {
+                    if (panel === this.dragPanel) continue;
+                    const push = Geometry.separation(Geometry.corners(panel),
+                        Geometry.corners({ ...this.dragPanel, x: x, y: y }));
+                    if (push) {
+                        clear = false;
+                        const scale = (push.depth + padding) / push.depth;
+                        x += push.x * scale;
+                        y += push.y * scale;
+                    }
+                }
+            }
+            if (!clear) {
+                return;
+            }
+
+            // Update panel position
+            this.dragPanel.x = x;
+            this.dragPanel.y = y;
+            this.render();
+        }
+    }
+
+    handleMouseUp(e) {
+        if (this.rotating) {
+            const before = this.rotating.before;
+            this.rotating = null;
+            this.commitLayoutChange(this.selectedPanelIds.size > 1 ? 'Rotate panels' : 'Rotate panel', before);
+            document.getElementById('panelCanvas').style.cursor = this.editPlacementEnabled ? 'move' : 'default';
+            return;
+        }
+        
+        if (this.selectionBox) {
+            this.finishSelectionBox();
+            return;
+        }
+        
+        if (this.isPanning) {
+            const wasClick = !this.panStart.moved;
+            this.isPanning = false;
+            this.panStart = null;
+            document.getElementById('panelCanvas').style.cursor = 'default';
+            
+            // A click without movement selects the panel under the cursor and shows its details
+            if (wasClick && e) {
+                const point = this.getWorldPoint(e);
+                const panel = this.findPanelForElement(document.elementFromPoint(e.clientX, e.clientY)) ||
+                              this.findPanelAtPoint(point.x, point.y);
+                this.selectPanel(panel);
+                if (panel) {
+                    this.openDetailDrawer(panel);
+                }
+            }
+            return;
+        }
+        
+        if (this.isDragging) {
+            this.isDragging = false;
+            this.dragPanel = null;
+            this.commitLayoutChange(this.selectedPanelIds.size > 1 ? 'Move panels' : 'Move panel', this.dragBefore);
+            this.dragBefore = null;
+            const canvas = document.getElementById('panelCanvas');
+            // Reset cursor based on edit mode
+            if (this.editPlacementEnabled) {
+                canvas.style.cursor = 'move';
+            } else {
+                canvas.style.cursor = 'default';
+            }
+        }
+    }
+
+    // Move the canvas with the pointer while panning
+    panCanvas(clientX, clientY) {
+        const dx = clientX - this.panStart.lastX;
+        const dy = clientY - this.panStart.lastY;
+        this.panStart.lastX = clientX;
+        this.panStart.lastY = clientY;
+        
+        // Ignore tiny movements so clicks still select panels
+        if (!this.panStart.moved && Math.hypot(clientX - this.panStart.x, clientY - this.panStart.y) < 3) {
+            return;
+        }
+        if (!this.panStart.moved) {
+            this.panStart.moved = true;
+            document.getElementById('panelCanvas').style.cursor = 'grabbing';
+            document.getElementById('tooltip').classList.add('hidden');
+        }
+        
+        this.viewport.panBy(dx, dy);
+        this.userZoomed = true;
+        this.render();
+    }
+    
+    handleWheel(e) {
+        e.preventDefault();
+        const rect = document.getElementById('panelCanvas').getBoundingClientRect();
+        // Normalise line/page scrolling to roughly pixels
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : (e.deltaMode === 2 ? e.deltaY * 400 : e.deltaY);
+        this.viewport.zoomAt(e.clientX - rect.left, e.clientY - rect.top, Math.exp(-delta * 0.0015));
+        this.userZoomed = true;
+        this.render();
+    }
+    
+    getTouchCenter(touches) {
+        const rect = document.getElementById('panelCanvas').getBoundingClientRect();
+        return {
+            x: (touches[0].clientX + touches[1].clientX) / 2 - rect.left,
+            y: (touches[0].clientY + touches[1].clientY) / 2 - rect.top,
+            distance: Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY)
+        };
+    }
+    
+    handleTouchStart(e) {
+        if (e.touches.length === 2) {
+            e.preventDefault();
+            this.isPanning = false;
+            this.pinch = this.getTouchCenter(e.touches);
+        } else if (e.touches.length === 1 && !this.editPlacementEnabled) {
+            const touch = e.touches[0];
+            this.isPanning = true;
+            this.panStart = { x: touch.clientX, y: touch.clientY, lastX: touch.clientX, lastY: touch.clientY, moved: false };
+        }
+    }
+    
+    handleTouchMove(e) {
+        if (this.pinch && e.touches.length === 2) {
+            e.preventDefault();
+            const current = this.getTouchCenter(e.touches);
+            this.viewport.zoomAt(current.x, current.y, current.distance / this.pinch.distance);
+            this.viewport.panBy(current.x - this.pinch.x, current.y - this.pinch.y);
+            this.pinch = current;
+            this.userZoomed = true;
+            this.render();
+        } else if (this.isPanning && e.touches.length === 1) {
+            e.preventDefault();
+            this.panCanvas(e.touches[0].clientX, e.touches[0].clientY);
+        }
+    }
+    
+    handleTouchEnd(e) {
+        if (e.touches.length < 2) {
+            this.pinch = null;
+        }
+        if (e.touches.length === 0) {
+            this.isPanning = false;
+            this.panStart = null;
+        }
+    }
+    
+    // Zoom around the centre of the canvas (zoom buttons)
+    zoomBy(factor) {
+        this.viewport.zoomAt(this.viewport.width / 2, this.viewport.height / 2, factor);
+        this.userZoomed = true;
+        this.render();
+    }
+    
+    // Zoom so the panel fills about a third of the canvas
+    zoomToPanel(panel) {
+        const bounds = this.getLayoutBounds([panel]);
+        this.viewport.fitBounds(bounds, Math.min(this.viewport.width, this.viewport.height) / 3);
+        // Apply the zoom limits around the centre
+        this.viewport.zoomAt(this.viewport.width / 2, this.viewport.height / 2, 1);
+        this.selectPanel(panel);
+        this.userZoomed = true;
+        this.render();
+    }
+    
+    // Select a single panel (or clear the selection with null)
+    selectPanel(panel) {
+        this.setSelection(panel ? [panel.id] : []);
+    }
+    
+    setSelection(panelIds) {
+        this.selectedPanelIds = new Set(panelIds);
+        
+        // Enable the tools that make sense for the number of selected panels
+        const count = this.selectedPanelIds.size;
+        const minimumSelection = {
+            zoomToPanel: 1,
+            rotateSelection: 1,
+            editNameplate: 1,
+            alignLeft: 2,
+            alignTop: 2,
+            distributeHorizontal: 3,
+            distributeVertical: 3
+        };
+        Object.keys(minimumSelection).forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = count < minimumSelection[id];
+            }
+        });
+        this.updateGroupControls();
+        this.render();
+    }
+    
+    getGroup(panel) {
+        return panel.groupId ? this.groups.find(group => group.id === panel.groupId) || null : null;
+    }
+    
+    getGroupColor(index) {
+        const colors = ['#60a5fa', '#f472b6', '#facc15', '#a78bfa', '#fb923c', '#34d399'];
+        return colors[index % colors.length];
+    }
+    
+    // The group shared by every selected panel, or null
+    getSelectionGroup() {
+        const selected = this.getSelectedPanels();
+        if (selected.length === 0) return null;
+        const group = this.getGroup(selected[0]);
+        return group && selected.every(panel => panel.groupId === group.id) ? group : null;
+    }
+    
+    // Rebuild the group picker in the edit toolbar
+    updateGroupControls() {
+        const select = document.getElementById('groupAssign');
+        if (!select) return;
+        
+        select.innerHTML = '';
+        const addOption = (value, text) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        };
+        addOption('', 'Group…');
+        this.groups.forEach(group => addOption(group.id, group.name));
+        addOption('__new', '+ New group…');
+        addOption('__none', 'No group');
+        select.value = '';
+        select.disabled = this.selectedPanelIds.size === 0;
+        
+        const editGroupBtn = document.getElementById('editGroup');
+        if (editGroupBtn) {
+            editGroupBtn.disabled = !this.getSelectionGroup();
+        }
+    }
+    
+    // Put the selected panels in a group ('__new' makes one, '__none' removes them from groups)
+    assignSelectionToGroup(value) {
+        const selected = this.getSelectedPanels();
+        if (!value || selected.length === 0) return;
+        if (this.blockedByLayoutPreview()) {
+            this.updateGroupControls();
+            return;
+        }
+        
+        const before = this.snapshotLayout();
+        let groupId = value;
+        if (value === '__new') {
+            const name = (prompt('Name for the new group (e.g. "East roof"):', '') || '').trim();
+            if (!name) {
+                this.updateGroupControls();
+                return;
+            }
+            const options = CONFIG.solarModel || {};
+            const group = {
+                id: `group-${Date.now().toString(36)}`,
+                name: name,
+                tilt: typeof options.tilt === 'number' ? options.tilt : 20,
+                azimuth: typeof options.azimuth === 'number' ? options.azimuth : 180,
+                color: this.getGroupColor(this.groups.length)
+            };
+            this.groups.push(group);
+            groupId = group.id;
+        }
+        
+        selected.forEach(panel => {
+            if (value === '__none') {
+                delete panel.groupId;
+            } else {
+                panel.groupId = groupId;
+            }
+        });
+        this.commitLayoutChange(value === '__none' ? 'Remove from group' : 'Assign to group', before);
+        
+        this.updateGroupControls();
+        this.updateSummary();
+        this.render();
+        
+        // Straight on to setting the orientation of a new group
+        if (value === '__new') {
+            this.openGroupDialog();
+        }
+    }
+    
+    openGroupDialog() {
+        if (this.blockedByLayoutPreview()) return;
+        const group = this.getSelectionGroup();
+        const dialog = document.getElementById('groupDialog');
+        if (!group || !dialog) return;
+        
+        dialog.dataset.groupId = group.id;
+        document.getElementById('groupName').value = group.name;
+        document.getElementById('groupTilt').value = group.tilt !== undefined ? group.tilt : '';
+        document.getElementById('groupAzimuth').value = group.azimuth !== undefined ? group.azimuth : '';
+        document.getElementById('groupColor').value = group.color;
+        dialog.classList.remove('hidden');
+    }
+    
+    applyGroupDialog() {
+        if (this.blockedByLayoutPreview()) return;
+        const dialog = document.getElementById('groupDialog');
+        const group = this.groups.find(g => g.id === dialog.dataset.groupId);
+        if (!group) return;
+        
+        const name = document.getElementById('groupName').value.trim();
+        const tiltText = document.getElementById('groupTilt').value.trim();
+        const azimuthText = document.getElementById('groupAzimuth').value.trim();
+        const tilt = parseFloat(tiltText);
+        const azimuth = parseFloat(azimuthText);
+        if (!name) {
+            alert('The group needs a name');
+            return;
+        }
+        if ((tiltText !== '' && !(tilt >= 0 && tilt <= 90)) || (azimuthText !== '' && !(azimuth >= 0 && azimuth < 360))) {
+            alert('Tilt must be 0-90° and azimuth 0-359° (clockwise from north)');
+            return;
+        }
+        
+        const before = this.snapshotLayout();
+        group.name = name;
+        group.color = document.getElementById('groupColor').value;
+        // Blank falls back to the solarModel defaults
+        if (tiltText === '') delete group.tilt; else group.tilt = tilt;
+        if (azimuthText === '') delete group.azimuth; else group.azimuth = azimuth;
+        this.commitLayoutChange('Edit group', before);
+        
+        dialog.classList.add('hidden');
+        this.updateGroupControls();
+        this.updateSummary();
+        this.render();
+    }
+    
+    deleteGroupFromDialog() {
+        if (this.blockedByLayoutPreview()) return;
+        const dialog = document.getElementById('groupDialog');
+        const group = this.groups.find(g => g.id === dialog.dataset.groupId);
+        if (!group || !confirm(`Delete group "${group.name}"? Its panels stay where they are.`)) return;
+        
+        const before = this.snapshotLayout();
+        this.groups = this.groups.filter(g => g !== group);
+        this.panels.forEach(panel => {
+            if (panel.groupId === group.id) {
+                delete panel.groupId;
+            }
+        });
+        this.commitLayoutChange('Delete group', before);
+        
+        dialog.classList.add('hidden');
+        this.updateGroupControls();
+        this.updateSummary();
+        this.render();
+    }
+    
+    // Totals for one set of panels, for the per-group summary
+    getPanelTotals(panels) {
+        const totals = { power: 0, active: 0, count: panels.length, ratedWatts: 0, expected: null, today: null };
+        panels.forEach(panel => {
+            const powerInfo = this.getPowerInfo(panel);
+            const power = powerInfo ? this.getPowerValue(powerInfo) : 0;
+            totals.power += power;
+            if (power > 0) totals.active++;
+            totals.ratedWatts += this.getRatedWatts(panel) || 0;
+            const expected = this.getExpectedPower(panel);
+            if (expected !== null) totals.expected = (totals.expected || 0) + expected;
+            const energy = this.getPanelEnergy(panel);
+            if (energy && energy.today !== null && energy.today !== undefined) totals.today = (totals.today || 0) + energy.today;
+        });
+        return totals;
+    }
+    
+    // One collapsible row per group (plus ungrouped panels) in the summary box
+    updateGroupSummary() {
+        const container = document.getElementById('groupSummary');
+        if (!container) return;
+        container.innerHTML = '';
+        if (this.groups.length === 0) {
+            container.classList.add('hidden');
+            return;
+        }
+        container.classList.remove('hidden');
+        
+        const sections = this.groups.map(group => ({
+            id: group.id,
+            name: group.name,
+            color: group.color,
+            panels: this.panels.filter(panel => panel.groupId === group.id),
+            orientation: `${group.tilt !== undefined ? group.tilt : '—'}° tilt, ${group.azimuth !== undefined ? group.azimuth : '—'}° azimuth`
+        }));
+        const ungrouped = this.panels.filter(panel => !this.getGroup(panel));
+        if (ungrouped.length > 0) {
+            sections.push({ id: '__ungrouped', name: 'Ungrouped', color: '#6b7280', panels: ungrouped, orientation: null });
+        }
+        
+        sections.forEach(section => {
+            const totals = this.getPanelTotals(section.panels);
+            const collapsed = this.collapsedGroups.has(section.id);
+            
+            const wrapper = document.createElement('div');
+            wrapper.className = collapsed ? 'group-section collapsed' : 'group-section';
+            
+            const header = document.createElement('div');
+            header.className = 'group-header';
+            header.title = collapsed ? 'Show details' : 'Hide details';
+            const swatch = document.createElement('span');
+            swatch.className = 'group-swatch';
+            swatch.style.borderColor = section.color;
+            const name = document.createElement('span');
+            name.className = 'group-name';
+            name.textContent = `${collapsed ? '▸' : '▾'} ${section.name}`;
+            const power = document.createElement('span');
+            power.className = 'summary-value';
+            power.textContent = PowerCharts.formatPower(totals.power);
+            header.appendChild(swatch);
+            header.appendChild(name);
+            header.appendChild(power);
+            header.addEventListener('click', () => {
+                if (this.collapsedGroups.has(section.id)) {
+                    this.collapsedGroups.delete(section.id);
+                } else {
+                    this.collapsedGroups.add(section.id);
+                }
+                this.updateGroupSummary();
+            });
+            wrapper.appendChild(header);
+            
+            if (!collapsed) {
+                const rows = [['Panels', `${totals.active} of ${totals.count} producing`]];
+                if (section.orientation) rows.push(['Orientation', section.orientation]);
+                if (totals.ratedWatts > 0) {
+                    rows.push(['Rating', `${(totals.ratedWatts / 1000).toFixed(2)} kWp`]);
+                    rows.push(['Of Rating', `${(totals.power / totals.ratedWatts * 100).toFixed(0)}%`]);
+                }
+                if (totals.expected !== null && totals.expected >= totals.ratedWatts * 0.05) {
+                    rows.push(['Of Expected', `${(totals.power / totals.expected * 100).toFixed(0)}%`]);
+                }
+                rows.push(['Today', this.formatEnergy(totals.today)]);
+                rows.forEach(([label, value]) => {
+                    const row = document.createElement('div');
+                    row.className = 'group-detail';
+                    const labelElement = document.createElement('span');
+                    labelElement.className = 'summary-label';
+                    labelElement.textContent = label;
+                    const valueElement = document.createElement('span');
+                    valueElement.textContent = value;
+                    row.appendChild(labelElement);
+                    row.appendChild(valueElement);
+                    wrapper.appendChild(row);
+                });
+            }
+            container.appendChild(wrapper);
+        });
+    }
+    
+    // Nameplate fields that can be edited on panels
+    getNameplateFields() {
+        return {
+            moduleModel: { input: 'nameplateModuleModel', numeric: false },
+            ratedWatts: { input: 'nameplateRatedWatts', numeric: true },
+            inverterModel: { input: 'nameplateInverterModel', numeric: false },
+            inverterRatedWatts: { input: 'nameplateInverterRatedWatts', numeric: true }
+        };
+    }
+    
+    // Fill the nameplate form from the selected panels. Fields that differ between them are
+    // left blank as "Mixed" and are only changed if something is typed in.
+    openNameplateDialog() {
+        if (this.blockedByLayoutPreview()) return;
+        const selected = this.getSelectedPanels();
+        const dialog = document.getElementById('nameplateDialog');
+        if (!dialog || selected.length === 0) return;
+        
+        const fields = this.getNameplateFields();
+        Object.keys(fields).forEach(key => {
+            const input = document.getElementById(fields[key].input);
+            const values = new Set(selected.map(panel => panel[key] === undefined ? '' : String(panel[key])));
+            const mixed = values.size > 1;
+            input.value = mixed ? '' : [...values][0];
+            input.placeholder = mixed ? 'Mixed' : 'Default';
+            input.dataset.mixed = mixed ? 'true' : '';
+        });
+        
+        document.getElementById('nameplateTitle').textContent =
+            selected.length > 1 ? `Nameplate for ${selected.length} panels` : `Nameplate for ${selected[0].id}`;
+        dialog.classList.remove('hidden');
+    }
+    
+    applyNameplateDialog() {
+        if (this.blockedByLayoutPreview()) return;
+        const selected = this.getSelectedPanels();
+        const fields = this.getNameplateFields();
+        
+        // Check the numbers before changing anything
+        for (const key of Object.keys(fields)) {
+            const input = document.getElementById(fields[key].input);
+            const value = input.value.trim();
+            if (fields[key].numeric && value !== '' && !(parseFloat(value) > 0)) {
+                alert('Ratings must be positive numbers of watts');
+                input.focus();
+                return;
+            }
+        }
+        
+        const before = this.snapshotLayout();
+        Object.keys(fields).forEach(key => {
+            const input = document.getElementById(fields[key].input);
+            const value = input.value.trim();
+            selected.forEach(panel => {
+                if (value !== '') {
+                    panel[key] = fields[key].numeric ? parseFloat(value) : value;
+                } else if (!input.dataset.mixed) {
+                    // Cleared: fall back to the module type and DeviceList
+                    delete panel[key];
+                }
+            });
+        });
+        this.commitLayoutChange('Edit nameplate', before);
+        
+        document.getElementById('nameplateDialog').classList.add('hidden');
+        this.updateSummary();
+        this.render();
+    }
+    
+    getSelectedPanels() {
+        return this.panels.filter(panel => this.selectedPanelIds.has(panel.id));
+    }
+    
+    // Select the panels touched by the rubber band. A click on empty space clears the selection.
+    finishSelectionBox() {
+        const box = this.selectionBox;
+        this.selectionBox = null;
+        
+        const area = {
+            x: Math.min(box.startX, box.endX),
+            y: Math.min(box.startY, box.endY),
+            width: Math.abs(box.endX - box.startX),
+            height: Math.abs(box.endY - box.startY)
+        };
+        const ids = box.additive ? new Set(this.selectedPanelIds) : new Set();
+        
+        const clickSize = this.viewport.toWorldLength(3);
+        if (area.width >= clickSize || area.height >= clickSize) {
+            this.panels
+                .filter(panel => this.panelsOverlap(area, panel))
+                .forEach(panel => ids.add(panel.id));
+        }
+        this.setSelection(ids);
+    }
+    
+    // Copy of the panels and groups, for undo/redo
+    snapshotLayout() {
+        return {
+            panels: this.panels.map(panel => ({ ...panel })),
+            groups: this.groups.map(group => ({ ...group }))
+        };
+    }
+    
+    restoreLayout(snapshot) {
+        this.panels = snapshot.panels.map(panel => ({ ...panel }));
+        this.groups = snapshot.groups.map(group => ({ ...group }));
+        this.updateGroupControls();
+        // Drop selected panels that don't exist in the restored layout
+        const ids = new Set(this.panels.map(panel => panel.id));
+        this.setSelection([...this.selectedPanelIds].filter(id => ids.has(id)));
+        this.updateSummary();
+        this.scheduleLayoutSave();
+    }
+    
+    // Record the change from a snapshot taken before an edit to the current layout.
+    // Nothing is recorded if the edit didn't change anything.
+    commitLayoutChange(label, before, mergeKey = null) {
+        if (!before) {
+            return;
+        }
+        const after = this.snapshotLayout();
+        if (JSON.stringify(before) === JSON.stringify(after)) {
+            return;
+        }
+        this.undoHistory.push({
+            label: label,
+            mergeKey: mergeKey,
+            undo: () => this.restoreLayout(before),
+            redo: () => this.restoreLayout(after)
+        });
+        this.scheduleLayoutSave();
+    }
+    
+    undoLayoutChange() {
+        if (this.isDragging || this.rotating || this.layoutPreview) {
+            return;
+        }
+        const command = this.undoHistory.undo();
+        if (command) {
+            this.updateStatus(`Undid: ${command.label}`);
+        }
+    }
+    
+    redoLayoutChange() {
+        if (this.isDragging || this.rotating || this.layoutPreview) {
+            return;
+        }
+        const command = this.undoHistory.redo();
+        if (command) {
+            this.updateStatus(`Redid: ${command.label}`);
+        }
+    }
+    
+    updateUndoButtons() {
+        const undoBtn = document.getElementById('undoLayout');
+        const redoBtn = document.getElementById('redoLayout');
+        if (undoBtn) {
+            undoBtn.disabled = !this.undoHistory.canUndo;
+            undoBtn.title = this.undoHistory.canUndo ? `Undo ${this.undoHistory.undoLabel} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !this.undoHistory.canRedo;
+            redoBtn.title = this.undoHistory.canRedo ? `Redo ${this.undoHistory.redoLabel} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    }
+    
+    // Move the selected panels unless that would put one on top of an unselected panel.
+    // Returns whether the panels moved.
+    moveSelectionBy(dx, dy) {
+        const selected = this.getSelectedPanels();
+        const others = this.panels.filter(panel => !this.selectedPanelIds.has(panel.id));
+        const blocked = selected.some(panel => others.some(other => this.panelsOverlap({
+            ...panel,
+            x: panel.x + dx,
+            y: panel.y + dy
+        }, other)));
+        
+        if (blocked || selected.length === 0) {
+            return false;
+        }
+        LayoutTools.moveBy(selected, dx, dy);
+        return true;
+    }
+    
+    // Start dragging a rotation handle: the selection turns by the angle the pointer moves
+    // through around the handle's panel
+    startRotation(panel, point) {
+        const center = Geometry.center(panel);
+        this.rotating = {
+            center: center,
+            startAngle: Geometry.angleFrom(center, point),
+            before: this.snapshotLayout(),
+            rotations: new Map(this.getSelectedPanels().map(selected => [selected.id, selected.planeRotation || 0]))
+        };
+        document.getElementById('panelCanvas').style.cursor = 'grabbing';
+        const tooltip = document.getElementById('tooltip');
+        if (tooltip) {
+            tooltip.classList.add('hidden');
+        }
+    }
+    
+    // Turn each selected panel about its own centre to its starting angle plus the handle's turn,
+    // in whole degrees (steps of 15° with snap). Leaves them alone and returns false where that
+    // would overlap an unselected panel.
+    rotateSelectionTo(point, snap) {
+        const step = snap ? 15 : 1;
+        const turn = Geometry.angleFrom(this.rotating.center, point) - this.rotating.startAngle;
+        const selected = this.getSelectedPanels();
+        const others = this.panels.filter(panel => !this.selectedPanelIds.has(panel.id));
+        const previous = selected.map(panel => ({ ...panel }));
+        
+        selected.forEach(panel => {
+            const start = this.rotating.rotations.get(panel.id);
+            Geometry.setRotation(panel, Math.round((start + turn) / step) * step);
+        });
+        
+        if (selected.some(panel => others.some(other => this.panelsOverlap(panel, other)))) {
+            selected.forEach((panel, index) => Object.assign(panel, previous[index]));
+            return false;
+        }
+        return true;
+    }
+    
+    handleKeyDown(e) {
+        // Leave typing in inputs alone
+        const tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') {
             return;
         }
-
-        const canvas = document.getElementById('panelCanvas');
         
-        // Use SVG element-based detection for accurate hit testing
-        const elementAtPoint = document.elementFromPoint(e.clientX, e.clientY);
-        let panelElement = null;
-        if (elementAtPoint) {
-            if (elementAtPoint.classList && elementAtPoint.classList.contains('panel')) {
-                panelElement = elementAtPoint;
-            } else if (elementAtPoint.parentElement && 
-                      elementAtPoint.parentElement.querySelector && 
-                      elementAtPoint.parentElement.querySelector('.panel')) {
-                panelElement = elementAtPoint.parentElement.querySelector('.panel');
+        const key = (e.key || '').toLowerCase();
+        if ((e.ctrlKey || e.metaKey) && (key === 'z' || key === 'y')) {
+            e.preventDefault();
+            if (key === 'y' || e.shiftKey) {
+                this.redoLayoutChange();
+            } else {
+                this.undoLayoutChange();
             }
+            return;
         }
         
-        // Find panel by element ID
-        let panel = null;
-        if (panelElement) {
-            const panelId = panelElement.getAttribute('data-panel-id');
-            panel = this.panels.find(p => 
-                (p.id === panelId) || 
-                (p.serialNumber === panelId) || 
-                (p.inverterSerialNumber === panelId)
-            );
+        if (e.key === 'Escape' && this.detailPanelId) {
+            this.closeDetailDrawer();
         }
         
-        // Fallback to coordinate-based detection
-        if (!panel) {
-            const rect = canvas.getBoundingClientRect();
-            const x = e.clientX - rect.left;
-            const y = e.clientY - rect.top;
-            
-            panel = this.panels.find(p => {
-                // Account for rotation in hit detection
-                if (p.planeRotation && p.planeRotation !== 0 && p.planeRotation !== 180 && 
-                    p.planeRotation !== 90 && p.planeRotation !== 270) {
-                    const rad = (p.planeRotation * Math.PI) / 180;
-                    const cos = Math.abs(Math.cos(rad));
-                    const sin = Math.abs(Math.sin(rad));
-                    const rotatedWidth = p.width * cos + p.height * sin;
-                    const rotatedHeight = p.width * sin + p.height * cos;
-                    return x >= p.x && x <= p.x + rotatedWidth &&
-                           y >= p.y && y <= p.y + rotatedHeight;
-                } else {
-                    return x >= p.x && x <= p.x + p.width &&
-                           y >= p.y && y <= p.y + p.height;
-                }
-            });
-        }
-
-        if (panel) {
-            this.isDragging = true;
-            this.dragPanel = panel;
-            this.dragOffset = {
-                x: x - panel.x,
-                y: y - panel.y
-            };
-            canvas.style.cursor = 'grabbing';
-            
-            // Hide tooltip when dragging starts
-            const tooltip = document.getElementById('tooltip');
-            if (tooltip) {
-                tooltip.classList.add('hidden');
-            }
-        }
-    }
-
-    handleMouseMove(e) {
-        // Stop dragging if edit mode is disabled
-        if (this.isDragging && !this.editPlacementEnabled) {
-            this.handleMouseUp();
+        if (!this.editPlacementEnabled || this.layoutPreview) {
             return;
         }
         
-        if (this.isDragging && this.dragPanel) {
-            const canvas = document.getElementById('panelCanvas');
-            const rect = canvas.getBoundingClientRect();
-            let x = e.clientX - rect.left - this.dragOffset.x;
-            let y = e.clientY - rect.top - this.dragOffset.y;
-
-            // Keep panel within canvas bounds
-            x = Math.max(0, x);
-            y = Math.max(0, y);
-            
-            // Check for overlaps with other panels and adjust position
-            const padding = 5; // Minimum spacing
-            for (const panel of this.panels) {
-                if (panel !== this.dragPanel && this.panelsOverlap({
-                    x: x, y: y, 
-                    width: this.dragPanel.width, 
-                    height: this.dragPanel.height
-                }, panel)) {
-                    // Calculate how to move to avoid overlap
-                    const overlapX = Math.min(
-                        x + this.dragPanel.width - panel.x,
-                        panel.x + panel.width - x
-                    );
-                    const overlapY = Math.min(
-                        y + this.dragPanel.height - panel.y,
-                        panel.y + panel.height - y
-                    );
-                    
-                    if (overlapX < overlapY) {
-                        // Adjust horizontally
-                        if (x < panel.x) {
-                            x = panel.x - this.dragPanel.width - padding;
-                        } else {
-                            x = panel.x + panel.width + padding;
-                        }
-                    } else {
-                        // Adjust vertically
-                        if (y < panel.y) {
-                            y = panel.y - this.dragPanel.height - padding;
-                        } else {
-                            y = panel.y + panel.height + padding;
-                        }
-                    }
-                }
+        const directions = {
+            ArrowLeft: [-1, 0],
+            ArrowRight: [1, 0],
+            ArrowUp: [0, -1],
+            ArrowDown: [0, 1]
+        };
+        
+        if (directions[e.key] && this.selectedPanelIds.size > 0) {
+            e.preventDefault();
+            // One grid step when snapping, otherwise one screen pixel; Shift moves ten times as far
+            let step = this.snapToGrid ? this.gridSpacing : this.viewport.toWorldLength(1);
+            if (e.shiftKey) {
+                step *= 10;
             }
-
-            // Update panel position
-            this.dragPanel.x = Math.max(0, x);
-            this.dragPanel.y = Math.max(0, y);
-            this.render();
-        }
-    }
-
-    handleMouseUp() {
-        if (this.isDragging) {
-            this.isDragging = false;
-            this.dragPanel = null;
-            const canvas = document.getElementById('panelCanvas');
-            // Reset cursor based on edit mode
-            if (this.editPlacementEnabled) {
-                canvas.style.cursor = 'move';
-            } else {
-                canvas.style.cursor = 'default';
+            const [dx, dy] = directions[e.key];
+            const before = this.snapshotLayout();
+            if (this.moveSelectionBy(dx * step, dy * step)) {
+                // A run of nudges undoes in one step
+                this.commitLayoutChange('Nudge', before, 'nudge');
+                this.render();
             }
+        } else if (e.key === 'Escape') {
+            this.selectPanel(null);
+        } else if (e.key === 'a' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            this.setSelection(this.panels.map(panel => panel.id));
         }
     }
 
@@ -677,94 +3134,17 @@ class SolarPanelMonitor {
         const canvas = document.getElementById('panelCanvas');
         const tooltip = document.getElementById('tooltip');
         
-        // Find the element at the mouse position
+        // Find the panel element at the mouse position, falling back to
+        // coordinate-based detection through the viewport transform
         const elementAtPoint = document.elementFromPoint(e.clientX, e.clientY);
-        
-        // Traverse up the DOM tree to find a panel element
-        let panelElement = null;
-        let currentElement = elementAtPoint;
-        
-        while (currentElement && currentElement !== canvas && !panelElement) {
-            // Check if current element is a panel rect
-            if (currentElement.classList && currentElement.classList.contains('panel')) {
-                panelElement = currentElement;
-                break;
-            }
-            // Check if current element contains a panel rect
-            if (currentElement.querySelector) {
-                const panelRect = currentElement.querySelector('.panel');
-                if (panelRect) {
-                    panelElement = panelRect;
-                    break;
-                }
-            }
-            // Move up to parent
-            currentElement = currentElement.parentElement || currentElement.parentNode;
-        }
-        
-        // Find panel by element ID
-        let panel = null;
-        if (panelElement) {
-            const panelId = panelElement.getAttribute('data-panel-id');
-            if (panelId) {
-                panel = this.panels.find(p => 
-                    (p.id === panelId) || 
-                    (p.serialNumber === panelId) || 
-                    (p.inverterSerialNumber === panelId)
-                );
-            }
-        }
-        
-        // Fallback: use coordinate-based detection with proper SVG coordinate transformation
+        let panel = this.findPanelForElement(elementAtPoint);
         if (!panel) {
-            const rect = canvas.getBoundingClientRect();
-            const svgPoint = canvas.createSVGPoint();
-            svgPoint.x = e.clientX;
-            svgPoint.y = e.clientY;
-            
-            // Transform screen coordinates to SVG coordinates
-            const ctm = canvas.getScreenCTM();
-            if (ctm) {
-                const inverseCTM = ctm.inverse();
-                const transformedPoint = svgPoint.matrixTransform(inverseCTM);
-                const x = transformedPoint.x;
-                const y = transformedPoint.y;
-                
-                panel = this.panels.find(p => {
-                    // Check if point is within panel bounds (accounting for rotation)
-                    // For rotated panels, we need to check the actual rotated rectangle
-                    if (p.planeRotation && p.planeRotation !== 0 && p.planeRotation !== 180 && 
-                        p.planeRotation !== 90 && p.planeRotation !== 270) {
-                        // For arbitrary rotations, check against rotated bounding box
-                        const rad = (p.planeRotation * Math.PI) / 180;
-                        const cos = Math.abs(Math.cos(rad));
-                        const sin = Math.abs(Math.sin(rad));
-                        const rotatedWidth = p.width * cos + p.height * sin;
-                        const rotatedHeight = p.width * sin + p.height * cos;
-                        return x >= p.x && x <= p.x + rotatedWidth &&
-                               y >= p.y && y <= p.y + rotatedHeight;
-                    } else {
-                        // For 0°, 90°, 180°, 270° - dimensions are already swapped if needed
-                        return x >= p.x && x <= p.x + p.width &&
-                               y >= p.y && y <= p.y + p.height;
-                    }
-                });
-            } else {
-                // Fallback to simple coordinate calculation if CTM not available
-                const x = e.clientX - rect.left;
-                const y = e.clientY - rect.top;
-                
-                panel = this.panels.find(p => {
-                    return x >= p.x && x <= p.x + p.width &&
-                           y >= p.y && y <= p.y + p.height;
-                });
-            }
+            const point = this.getWorldPoint(e);
+            panel = this.findPanelAtPoint(point.x, point.y);
         }
 
         if (panel) {
-            const powerInfo = this.powerData[panel.id] || 
-                             this.powerData[panel.serialNumber] || 
-                             this.powerData[panel.inverterSerialNumber] || {};
+            const powerInfo = this.getPowerInfo(panel) || {};
             this.showTooltip(e.clientX, e.clientY, panel, powerInfo);
             // Update cursor based on edit mode
             if (this.editPlacementEnabled) {
@@ -789,23 +3169,188 @@ class SolarPanelMonitor {
         }
     }
 
+    escapeHtml(value) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, char => entities[char]);
+    }
+    
+    getPanelName(panel) {
+        return panel.inverterSerialNumber || panel.serialNumber || panel.id;
+    }
+    
+    openDetailDrawer(panel) {
+        this.detailPanelId = panel.id;
+        document.getElementById('detailDrawer').classList.remove('hidden');
+        document.getElementById('tooltip').classList.add('hidden');
+        this.renderDetailDrawer();
+    }
+    
+    closeDetailDrawer() {
+        this.detailPanelId = null;
+        document.getElementById('detailDrawer').classList.add('hidden');
+    }
+    
+    // Fill the detail drawer for the open panel; called again after every poll
+    renderDetailDrawer() {
+        if (!this.detailPanelId) return;
+        const panel = this.panels.find(p => p.id === this.detailPanelId);
+        if (!panel) {
+            this.closeDetailDrawer();
+            return;
+        }
+        
+        const device = this.getPowerInfo(panel);
+        const nameplate = this.getNameplate(panel);
+        const group = this.getGroup(panel);
+        const number = (name) => {
+            const value = device ? parseFloat(device[name]) : NaN;
+            return isNaN(value) ? null : value;
+        };
+        const reading = (name, unit, digits) => {
+            const value = number(name);
+            return value === null ? null : `${value.toFixed(digits)} ${unit}`;
+        };
+        const kilowatts = (name) => {
+            const value = number(name);
+            return value === null ? null : PowerCharts.formatPower(value * 1000);
+        };
+        const rated = (model, watts, unit) => {
+            if (!model && !watts) return null;
+            return `${model || 'Unknown model'}${watts ? ` (${watts} ${unit})` : ''}`;
+        };
+        
+        const power = device ? this.getPowerValue(device) : null;
+        const expected = this.getExpectedPower(panel);
+        const ratio = power !== null ? this.getExpectedRatio(panel, power) : null;
+        const reportedAt = device ? this.parseDeviceTime(device.DATATIME) : null;
+        const readingAge = this.getReadingAge(panel);
+        const deviceClock = device ? this.parseDeviceTime(device.CURTIME) : null;
+        const issue = this.issues.find(i => InventoryCheck.panelKeys(panel).includes(String(i.serial).toUpperCase()));
+        const energy = this.getPanelEnergy(panel);
+        
+        const sections = [
+            ['Identity', [
+                ['Panel ID', panel.id],
+                ['Inverter Serial', panel.inverterSerialNumber || panel.serialNumber],
+                ['Module', rated(nameplate.moduleModel, nameplate.ratedWatts, 'W')],
+                ['Inverter', rated(nameplate.inverterModel, nameplate.inverterRatedWatts, 'W AC')],
+                ['Reported Model', device && device.MODEL],
+                ['Firmware', device && device.SWVER],
+                ['Hardware', device && device.hw_version],
+                ['Group', group && group.name],
+                ['Size', `${this.formatLength(panel.width)} × ${this.formatLength(panel.height)}`]
+            ]],
+            ['Electrical', [
+                ['AC Power', power !== null ? PowerCharts.formatPower(power) : 'No data'],
+                ['Of Rating', power !== null && nameplate.ratedWatts ? `${(power / nameplate.ratedWatts * 100).toFixed(0)}%` : null],
+                ['Expected', expected !== null ? `${PowerCharts.formatPower(expected)}${ratio !== null ? ` (${ratio.toFixed(0)}% of it)` : ''}` : null],
+                ['AC Voltage', reading('vln_3phavg_v', 'V', 1)],
+                ['AC Current', reading('i_3phsum_a', 'A', 2)],
+                ['Frequency', reading('freq_hz', 'Hz', 2)],
+                ['DC Power', kilowatts('p_mpptsum_kw')],
+                ['MPPT Voltage', reading('v_mppt1_v', 'V', 1)],
+                ['MPPT Current', reading('i_mppt1_a', 'A', 2)]
+            ]],
+            ['Thermal', [
+                ['Heatsink', reading('t_htsnk_degc', '°C', 0)]
+            ]],
+            ['State', [
+                ['State', device && device.STATE],
+                ['Description', device && device.STATEDESCR],
+                ['Issue', issue ? (issue.type === 'zero' ? 'Producing nothing while its peers are' : `${issue.percentBelow.toFixed(0)}% below its peers`) : null]
+            ]],
+            ['Communication', [
+                ['Last Seen', readingAge !== null ? `${this.formatAge(readingAge)} ago${this.isPanelStale(panel) ? ' (stale)' : ''}` : null],
+                ['Last Reading', reportedAt !== null ? `${new Date(reportedAt).toLocaleString()} (${this.formatAge(this.lastPollTime - reportedAt)} before the poll)` : null],
+                ['Device Clock', deviceClock !== null ? new Date(deviceClock).toLocaleString() : null],
+                ['Polled', this.lastPollTime ? new Date(this.lastPollTime).toLocaleString() : null]
+            ]],
+            ['Energy', energy ? [
+                ['Today', this.formatEnergy(energy.today)],
+                ['This Week', this.formatEnergy(energy.week)],
+                ['This Month', this.formatEnergy(energy.month)],
+                ['Lifetime', this.formatEnergy(energy.lifetime)],
+                ['Yield Today', nameplate.ratedWatts ? this.formatSpecificYield(this.getSpecificYield(energy.today, nameplate.ratedWatts)) : null],
+                ['Yield Lifetime', nameplate.ratedWatts ? this.formatSpecificYield(this.getSpecificYield(energy.lifetime, nameplate.ratedWatts)) : null]
+            ] : []]
+        ];
+        
+        let html = '';
+        sections.forEach(([title, rows]) => {
+            const shown = rows.filter(([, value]) => value !== null && value !== undefined && value !== '');
+            if (shown.length === 0) return;
+            html += `<h4>${title}</h4>`;
+            shown.forEach(([label, value]) => {
+                html += `<p><span class="label">${label}:</span> ${this.escapeHtml(value)}</p>`;
+            });
+        });
+        
+        // Today's production for this panel, from the readings kept for the sparklines
+        const day = this.getStartOfDay(this.lastPollTime || Date.now());
+        const history = this.getPanelHistory(panel).filter(point => point.timestamp >= day);
+        html += `<h4>Today's Production</h4>`;
+        html += PowerCharts.timeSeries(history, { start: day, end: Math.max(this.lastPollTime || Date.now(), day + 1), width: 320, height: 160 });
+        
+        document.getElementById('detailTitle').textContent = `Panel ${this.getPanelName(panel)}`;
+        document.getElementById('detailContent').innerHTML = html;
+        
+        // Every field of the layout entry and of the DeviceList record, for troubleshooting
+        const raw = document.getElementById('detailRaw');
+        const toggle = document.getElementById('toggleRawData');
+        toggle.textContent = this.showRawData ? 'Hide raw data' : 'Show raw data';
+        raw.classList.toggle('hidden', !this.showRawData);
+        if (this.showRawData) {
+            const table = (title, record) => {
+                const rows = Object.keys(record || {}).map(key =>
+                    `<tr><th>${this.escapeHtml(key)}</th><td>${this.escapeHtml(typeof record[key] === 'object' ? JSON.stringify(record[key]) : record[key])}</td></tr>`);
+                return `<h4>${title}</h4>` + (rows.length ? `<table>${rows.join('')}</table>` : '<p>None</p>');
+            };
+            raw.innerHTML = table('Layout', panel) + table('DeviceList', device);
+        }
+    }
+    
+    formatAge(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        if (seconds < 60) return `${seconds} s`;
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        if (seconds < 86400) return `${(seconds / 3600).toFixed(1)} h`;
+        return `${(seconds / 86400).toFixed(1)} days`;
+    }
+    
     showTooltip(x, y, panel, powerInfo) {
         const tooltip = document.getElementById('tooltip');
         tooltip.classList.remove('hidden');
         
-        let html = `<h3>Panel Details</h3>`;
-        
-        // Add all panel properties
-        Object.keys(panel).forEach(key => {
-            if (key !== 'x' && key !== 'y' && key !== 'width' && key !== 'height') {
-                html += `<p><span class="label">${key}:</span> ${panel[key]}</p>`;
+        // A short summary; the full details are in the drawer opened by clicking the panel
+        const hasData = Object.keys(powerInfo).length > 0;
+        const nameplate = this.getNameplate(panel);
+        const group = this.getGroup(panel);
+        let html = `<h3>${this.escapeHtml(this.getPanelName(panel))}</h3>`;
+        if (hasData) {
+            const power = this.getPowerValue(powerInfo);
+            const percent = nameplate.ratedWatts ? ` (${(power / nameplate.ratedWatts * 100).toFixed(0)}% of rating)` : '';
+            html += `<p><span class="label">Power:</span> ${PowerCharts.formatPower(power)}${percent}</p>`;
+            html += `<p><span class="label">State:</span> ${this.escapeHtml(powerInfo.STATEDESCR || powerInfo.STATE || '—')}</p>`;
+            const age = this.getReadingAge(panel);
+            if (age !== null) {
+                const staleNote = this.isPanelStale(panel) ? ' (stale)' : '';
+                html += `<p><span class="label">Last Seen:</span> ${this.formatAge(age)} ago${staleNote}</p>`;
             }
-        });
+        } else {
+            html += `<p><span class="label">Power:</span> No data</p>`;
+        }
+        if (group) {
+            html += `<p><span class="label">Group:</span> ${this.escapeHtml(group.name)}</p>`;
+        }
         
-        // Add all power info properties
-        Object.keys(powerInfo).forEach(key => {
-            html += `<p><span class="label">${key}:</span> ${powerInfo[key]}</p>`;
-        });
+        // Today's production for this panel
+        const history = this.getPanelHistory(panel);
+        if (history.length >= 2) {
+            html += PowerCharts.sparkline(history);
+        }
+        if (!this.editPlacementEnabled) {
+            html += `<p class="tooltip-hint">Click for details</p>`;
+        }
         
         tooltip.innerHTML = html;
         
@@ -896,171 +3441,647 @@ class SolarPanelMonitor {
         }
     }
 
-    getColorForPower(power) {
-        if (this.maxPower === 0) return '#000000'; // Black for no power
+    // Rated (nameplate) watts of a panel's module, or null if unknown
+    getRatedWatts(panel) {
+        return panel.ratedWatts || this.getPanelModule(panel.panelType).ratedWatts || null;
+    }
+    
+    // Nameplate details for a panel: values edited on the panel, then its module type in
+    // CONFIG.panelModules, then what DeviceList reports (PANEL and MODEL)
+    getNameplate(panel) {
+        const panelModule = this.getPanelModule(panel.panelType);
+        const device = this.getPowerInfo(panel) || {};
+        return {
+            moduleModel: panel.moduleModel || panelModule.moduleModel || device.PANEL || null,
+            ratedWatts: this.getRatedWatts(panel),
+            inverterModel: panel.inverterModel || panelModule.inverterModel || device.MODEL || null,
+            inverterRatedWatts: panel.inverterRatedWatts || panelModule.inverterRatedWatts || null
+        };
+    }
+    
+    // Array ratings from the panels with a known nameplate, in watts
+    getArrayRating() {
+        let dcWatts = 0;
+        let ratedPanels = 0;
+        let dcWattsWithInverter = 0;
+        let acWatts = 0;
+        this.panels.forEach(panel => {
+            const nameplate = this.getNameplate(panel);
+            if (nameplate.ratedWatts) {
+                dcWatts += nameplate.ratedWatts;
+                ratedPanels++;
+                // DC/AC only counts panels where both sides are known
+                if (nameplate.inverterRatedWatts) {
+                    dcWattsWithInverter += nameplate.ratedWatts;
+                    acWatts += nameplate.inverterRatedWatts;
+                }
+            }
+        });
+        return {
+            dcWatts: dcWatts,
+            ratedPanels: ratedPanels,
+            dcAcRatio: acWatts > 0 ? dcWattsWithInverter / acWatts : null
+        };
+    }
+    
+    // Energy per kW of rating (kWh/kWp), or null if either is unknown
+    getSpecificYield(kwh, ratedWatts) {
+        if (kwh === null || kwh === undefined || isNaN(kwh) || !ratedWatts) {
+            return null;
+        }
+        return kwh / (ratedWatts / 1000);
+    }
+    
+    formatSpecificYield(value) {
+        return value === null ? '—' : `${value.toFixed(2)} kWh/kWp`;
+    }
+    
+    // DeviceList times look like '2025,06,01,18,20,00' (UTC)
+    parseDeviceTime(value) {
+        return SolarCore.parseDeviceTime(value);
+    }
+    
+    // Metrics the heatmap can show. value(panel, device) returns a number or null when unknown.
+    // autoMin 'zero' starts the auto range at 0; 'data' uses the lowest reading.
+    getHeatmapMetrics() {
+        const field = (name) => (panel, device) => (device ? parseFloat(device[name]) : null);
+        const maxRated = Math.max(...this.panels.map(panel => this.getRatedWatts(panel) || 0), 0) || 400;
+        
+        return {
+            power: {
+                label: 'Power',
+                unit: 'W',
+                value: (panel, device) => (device ? this.getPowerValue(device) : null),
+                format: (value) => `${value.toFixed(1)}W`,
+                autoMin: 'zero',
+                fixedRange: [0, maxRated]
+            },
+            percentRated: {
+                label: '% of rating',
+                unit: '%',
+                value: (panel, device) => {
+                    const rated = this.getRatedWatts(panel);
+                    return device && rated ? this.getPowerValue(device) / rated * 100 : null;
+                },
+                format: (value) => `${value.toFixed(0)}%`,
+                autoMin: 'zero',
+                fixedRange: [0, 100]
+            },
+            expectedRatio: {
+                label: 'Actual vs expected',
+                unit: '%',
+                value: (panel, device) => (device ? this.getExpectedRatio(panel, this.getPowerValue(device)) : null),
+                format: (value) => `${value.toFixed(0)}%`,
+                autoMin: 'zero',
+                fixedRange: [0, 120]
+            },
+            energyToday: {
+                label: "Today's energy",
+                unit: 'kWh',
+                value: (panel) => {
+                    const energy = this.getPanelEnergy(panel);
+                    return energy ? energy.today : null;
+                },
+                format: (value) => `${value.toFixed(2)}kWh`,
+                autoMin: 'zero',
+                // About six peak-sun hours at the rating
+                fixedRange: [0, maxRated * 6 / 1000]
+            },
+            temperature: {
+                label: 'Heatsink temperature',
+                unit: '°C',
+                value: field('t_htsnk_degc'),
+                format: (value) => `${value.toFixed(0)}°C`,
+                autoMin: 'data',
+                fixedRange: [0, 80]
+            },
+            mpptVoltage: {
+                label: 'MPPT voltage',
+                unit: 'V',
+                value: field('v_mppt1_v'),
+                format: (value) => `${value.toFixed(1)}V`,
+                autoMin: 'data',
+                fixedRange: [0, 60]
+            },
+            mpptCurrent: {
+                label: 'MPPT current',
+                unit: 'A',
+                value: field('i_mppt1_a'),
+                format: (value) => `${value.toFixed(2)}A`,
+                autoMin: 'zero',
+                fixedRange: [0, 12]
+            },
+            commAge: {
+                label: 'Communication age',
+                unit: 'min',
+                value: (panel, device) => {
+                    const dataTime = device ? this.parseDeviceTime(device.DATATIME) : null;
+                    if (dataTime === null) {
+                        return null;
+                    }
+                    // Compare with the PVS clock when it reports one
+                    const now = this.parseDeviceTime(device.CURTIME) || this.lastPollTime || Date.now();
+                    return Math.max(0, (now - dataTime) / 60000);
+                },
+                format: (value) => `${value.toFixed(0)} min`,
+                autoMin: 'zero',
+                fixedRange: [0, 60]
+            }
+        };
+    }
+    
+    getHeatmapValue(panel, metric) {
+        const value = metric.value(panel, this.getPowerInfo(panel));
+        return value === null || value === undefined || isNaN(value) ? null : value;
+    }
+    
+    // Work out the colour range for this render, from the readings (auto) or fixed limits
+    updateHeatmapScale() {
+        const metrics = this.getHeatmapMetrics();
+        const metric = metrics[this.heatmapMetric] || metrics.power;
+        
+        let min, max;
+        if (this.heatmapRange === 'fixed') {
+            const ranges = (CONFIG.heatmap && CONFIG.heatmap.fixedRanges) || {};
+            [min, max] = ranges[this.heatmapMetric] || metric.fixedRange;
+        } else {
+            const values = this.panels
+                .map(panel => this.getHeatmapValue(panel, metric))
+                .filter(value => value !== null);
+            min = metric.autoMin === 'zero' || values.length === 0 ? 0 : Math.min(...values);
+            max = values.length > 0 ? Math.max(...values) : metric.fixedRange[1];
+            if (this.heatmapMetric === 'power') {
+                max = this.maxPower; // Falls back to 400 W when nothing is producing
+            }
+            // All readings equal: put them in the middle of the scale
+            if (max <= min) {
+                if (metric.autoMin === 'data') {
+                    min -= 0.5;
+                }
+                max = min + 1;
+            }
+        }
+        
+        this.heatmapScale = { metric: metric, min: min, max: max };
+        return this.heatmapScale;
+    }
+    
+    getHeatmapColor(value) {
+        if (value === null) {
+            return '#374151'; // No reading for this metric
+        }
+        return ColorScale.color(this.heatmapPalette, value, this.heatmapScale.min, this.heatmapScale.max);
+    }
+
+    // Size the canvas to its container and keep the viewport in step
+    updateViewportSize() {
+        const canvas = document.getElementById('panelCanvas');
+        const container = document.getElementById('canvasContainer');
+        const width = (container && container.clientWidth) || window.innerWidth;
+        const height = (container && container.clientHeight) || window.innerHeight - 100;
+        
+        canvas.setAttribute('width', width);
+        canvas.setAttribute('height', height);
+        canvas.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        this.viewport.setSize(width, height);
+    }
+    
+    // World-space bounding box of all panels, accounting for rotation
+    getLayoutBounds(panels = this.panels) {
+        return Geometry.bounds(panels);
+    }
+    
+    // Scale the layout to fill the canvas
+    fitToView() {
+        this.updateViewportSize();
+        const bounds = this.getLayoutBounds();
+        if (bounds) {
+            // Leave room for the dimension lines, scale bar and north arrow
+            this.viewport.fitBounds(bounds, 60);
+            // Allow zooming out to a tenth of the array and in to a fiftieth
+            this.viewport.setScaleLimits(this.viewport.scale / 10, this.viewport.scale * 50);
+        }
+        this.userZoomed = false;
+    }
+    
+    // Format a length in layout units, e.g. "1.69 m", "85 cm", "41.2 in", "12' 4""
+    formatLength(value) {
+        if (this.getLayoutUnits() === 'in') {
+            if (value >= 24) {
+                const feet = Math.floor(value / 12);
+                const inches = Math.round(value - feet * 12);
+                return inches === 12 ? `${feet + 1}'` : `${feet}' ${inches}"`;
+            }
+            return `${Number(value.toFixed(1))} in`;
+        }
+        if (value < 1) {
+            return `${Number((value * 100).toFixed(1))} cm`;
+        }
+        return `${Number(value.toFixed(2))} m`;
+    }
+    
+    // Overlays drawn in screen space on top of the panels, into the overlay layer
+    renderOverlays(parent) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const overlay = document.createElementNS(svgNS, 'g');
+        overlay.setAttribute('class', 'overlay');
+        
+        const line = (x1, y1, x2, y2, className) => {
+            const element = document.createElementNS(svgNS, 'line');
+            element.setAttribute('x1', x1);
+            element.setAttribute('y1', y1);
+            element.setAttribute('x2', x2);
+            element.setAttribute('y2', y2);
+            element.setAttribute('class', className);
+            overlay.appendChild(element);
+        };
+        const label = (x, y, content, className, rotate) => {
+            const element = document.createElementNS(svgNS, 'text');
+            element.setAttribute('x', x);
+            element.setAttribute('y', y);
+            element.setAttribute('class', className);
+            if (rotate) {
+                element.setAttribute('transform', `rotate(${rotate} ${x} ${y})`);
+            }
+            element.textContent = content;
+            overlay.appendChild(element);
+        };
+        
+        // Overall dimensions of the array along the top and left edges
+        const bounds = this.getLayoutBounds();
+        if (this.showDimensions && bounds) {
+            const topLeft = this.viewport.worldToScreen(bounds.minX, bounds.minY);
+            const bottomRight = this.viewport.worldToScreen(bounds.maxX, bounds.maxY);
+            const offset = 20;
+            
+            const top = topLeft.y - offset;
+            line(topLeft.x, top, bottomRight.x, top, 'dimension-line');
+            line(topLeft.x, top - 5, topLeft.x, topLeft.y, 'dimension-extension');
+            line(bottomRight.x, top - 5, bottomRight.x, topLeft.y, 'dimension-extension');
+            label((topLeft.x + bottomRight.x) / 2, top - 6, this.formatLength(bounds.maxX - bounds.minX), 'dimension-label');
+            
+            const left = topLeft.x - offset;
+            line(left, topLeft.y, left, bottomRight.y, 'dimension-line');
+            line(left - 5, topLeft.y, topLeft.x, topLeft.y, 'dimension-extension');
+            line(left - 5, bottomRight.y, topLeft.x, bottomRight.y, 'dimension-extension');
+            label(left - 6, (topLeft.y + bottomRight.y) / 2, this.formatLength(bounds.maxY - bounds.minY), 'dimension-label', -90);
+        }
         
-        // If power is 0, return black
-        if (power === 0) return '#000000';
+        // Scale bar: the largest 1/2/5 x 10^n length that fits in about 120 pixels
+        const targetLength = this.viewport.toWorldLength(120);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(targetLength)));
+        const step = [5, 2, 1].find(multiple => multiple * magnitude <= targetLength) || 1;
+        const barLength = step * magnitude;
+        const barPixels = this.viewport.toScreenLength(barLength);
+        const barX = 20;
+        const barY = this.viewport.height - 20;
+        line(barX, barY, barX + barPixels, barY, 'scale-bar');
+        line(barX, barY - 5, barX, barY + 1, 'scale-bar');
+        line(barX + barPixels, barY - 5, barX + barPixels, barY + 1, 'scale-bar');
+        label(barX + barPixels / 2, barY - 8, this.formatLength(barLength), 'scale-label');
         
-        // Calculate ratio, but ensure any non-zero power has at least some visible color
-        // Minimum green value of 30 (out of 255) for any panel with power > 0
-        const ratio = Math.min(power / this.maxPower, 1);
-        const minGreen = 30; // Minimum green value for visibility
-        const maxGreen = 255;
-        const greenRange = maxGreen - minGreen;
+        // North arrow, rotated by the bearing of true north from the top of the drawing
+        const arrowX = this.viewport.width - 40;
+        const arrowY = 45;
+        const arrow = document.createElementNS(svgNS, 'g');
+        arrow.setAttribute('class', 'north-arrow');
+        arrow.setAttribute('transform', `translate(${arrowX} ${arrowY}) rotate(${CONFIG.layoutNorthBearing || 0})`);
+        const pointer = document.createElementNS(svgNS, 'polygon');
+        pointer.setAttribute('points', '0,-20 8,12 0,6 -8,12');
+        arrow.appendChild(pointer);
+        const north = document.createElementNS(svgNS, 'text');
+        north.setAttribute('x', 0);
+        north.setAttribute('y', -26);
+        north.textContent = 'N';
+        arrow.appendChild(north);
+        overlay.appendChild(arrow);
         
-        // Scale from minGreen to maxGreen based on ratio
-        const g = Math.floor(minGreen + (greenRange * ratio));
+        this.renderLegend(overlay);
         
-        // Interpolate from dark green to bright green
-        const r = Math.floor(0);
-        const b = Math.floor(0);
+        parent.appendChild(overlay);
+    }
+    
+    // A coloured outline and name around each group's panels, into the groups layer
+    renderGroupOutlines(parent) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        this.groups.forEach(group => {
+            const bounds = this.getLayoutBounds(this.panels.filter(panel => panel.groupId === group.id));
+            if (!bounds) return;
+            
+            const padding = 6;
+            const topLeft = this.viewport.worldToScreen(bounds.minX, bounds.minY);
+            const bottomRight = this.viewport.worldToScreen(bounds.maxX, bounds.maxY);
+            const outline = document.createElementNS(svgNS, 'rect');
+            outline.setAttribute('x', topLeft.x - padding);
+            outline.setAttribute('y', topLeft.y - padding);
+            outline.setAttribute('width', bottomRight.x - topLeft.x + padding * 2);
+            outline.setAttribute('height', bottomRight.y - topLeft.y + padding * 2);
+            outline.setAttribute('rx', 4);
+            outline.setAttribute('stroke', group.color);
+            outline.setAttribute('class', 'group-outline');
+            parent.appendChild(outline);
+            
+            const name = document.createElementNS(svgNS, 'text');
+            name.setAttribute('x', topLeft.x - padding);
+            name.setAttribute('y', topLeft.y - padding - 4);
+            name.setAttribute('fill', group.color);
+            name.setAttribute('class', 'group-label');
+            name.textContent = group.name;
+            parent.appendChild(name);
+        });
+    }
+    
+    // Colour legend for the heatmap along the bottom of the canvas
+    renderLegend(overlay) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const { metric, min, max } = this.heatmapScale;
+        const legendWidth = 200;
+        const legendX = (this.viewport.width - legendWidth) / 2;
+        const legendY = this.viewport.height - 30;
+        
+        const defs = document.createElementNS(svgNS, 'defs');
+        const gradient = document.createElementNS(svgNS, 'linearGradient');
+        gradient.setAttribute('id', 'legendGradient');
+        ColorScale.gradientStops(this.heatmapPalette).forEach(stop => {
+            const element = document.createElementNS(svgNS, 'stop');
+            element.setAttribute('offset', stop.offset);
+            element.setAttribute('stop-color', stop.color);
+            gradient.appendChild(element);
+        });
+        defs.appendChild(gradient);
+        overlay.appendChild(defs);
+        
+        const bar = document.createElementNS(svgNS, 'rect');
+        bar.setAttribute('x', legendX);
+        bar.setAttribute('y', legendY);
+        bar.setAttribute('width', legendWidth);
+        bar.setAttribute('height', 10);
+        bar.setAttribute('fill', 'url(#legendGradient)');
+        bar.setAttribute('class', 'legend-bar');
+        overlay.appendChild(bar);
         
-        return `rgb(${r}, ${g}, ${b})`;
+        const label = (x, y, content, anchor) => {
+            const element = document.createElementNS(svgNS, 'text');
+            element.setAttribute('x', x);
+            element.setAttribute('y', y);
+            element.setAttribute('text-anchor', anchor);
+            element.setAttribute('class', 'legend-label');
+            element.textContent = content;
+            overlay.appendChild(element);
+        };
+        const rangeName = this.heatmapRange === 'fixed' ? 'fixed range' : 'auto range';
+        label(legendX + legendWidth / 2, legendY - 6, `${metric.label} (${metric.unit}, ${rangeName})`, 'middle');
+        label(legendX - 6, legendY + 9, metric.format(min), 'end');
+        label(legendX + legendWidth + 6, legendY + 9, metric.format(max), 'start');
     }
 
+    // Redraw on the next animation frame. Any number of calls before then (a drag's mousemoves,
+    // a poll arriving mid-drag) share one redraw.
     render() {
+        if (this.renderFrame) {
+            return;
+        }
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderNow();
+        });
+    }
+    
+    // The canvas is split into layers, bottom to top: panels (keyed by panel ID), group outlines,
+    // overlays and the selection box. Only the panels are kept between renders; the rest are
+    // a handful of elements and are redrawn each time.
+    getCanvasLayers() {
+        if (!this.canvasLayers) {
+            const canvas = document.getElementById('panelCanvas');
+            this.canvasLayers = {
+                panels: new SvgLayer(canvas, 'panels-layer'),
+                groups: new SvgLayer(canvas, 'groups-layer'),
+                overlay: new SvgLayer(canvas, 'overlay-layer'),
+                handles: new SvgLayer(canvas, 'handles-layer'),
+                selection: new SvgLayer(canvas, 'selection-layer')
+            };
+        }
+        return this.canvasLayers;
+    }
+    
+    renderNow() {
+        cancelAnimationFrame(this.renderFrame);
+        this.renderFrame = null;
         const canvas = document.getElementById('panelCanvas');
         if (!canvas) {
             console.error('Canvas element not found!');
             return;
         }
         
-        const svgNS = 'http://www.w3.org/2000/svg';
-        
-        // Clear canvas
-        canvas.innerHTML = '';
+        const layers = this.getCanvasLayers();
+        layers.groups.clear();
+        layers.overlay.clear();
+        layers.handles.clear();
+        layers.selection.clear();
         
-        console.log(`Rendering ${this.panels.length} panels`);
-        console.log('Power data available:', Object.keys(this.powerData).length, 'devices');
-        console.log('Max power:', this.maxPower);
-        console.log('Power data keys (first 5):', Object.keys(this.powerData).slice(0, 5));
+        this.updateViewportSize();
         
         if (this.panels.length === 0) {
-            console.warn('No panels to render!');
-            // Set minimum canvas size
-            canvas.setAttribute('width', window.innerWidth);
-            canvas.setAttribute('height', window.innerHeight - 100);
+            layers.panels.begin();
+            layers.panels.end();
             return;
         }
         
-        // Calculate canvas size based on panel positions
-        // Account for rotation by calculating bounding box
-        let maxX = 0, maxY = 0;
-        this.panels.forEach(panel => {
-            // For rotated panels, calculate the bounding box
-            if (panel.planeRotation && panel.planeRotation !== 0 && panel.planeRotation !== 180) {
-                // For 90° and 270° rotations, dimensions are already swapped
-                // For other angles, we use square dimensions
-                const rad = (panel.planeRotation * Math.PI) / 180;
-                const cos = Math.abs(Math.cos(rad));
-                const sin = Math.abs(Math.sin(rad));
-                const rotatedWidth = panel.width * cos + panel.height * sin;
-                const rotatedHeight = panel.width * sin + panel.height * cos;
-                maxX = Math.max(maxX, panel.x + rotatedWidth);
-                maxY = Math.max(maxY, panel.y + rotatedHeight);
-            } else {
-                // For 0° and 180°, no rotation adjustment needed
-                maxX = Math.max(maxX, panel.x + panel.width);
-                maxY = Math.max(maxY, panel.y + panel.height);
-            }
-        });
+        this.renderPanels(layers.panels);
+        this.renderGroupOutlines(layers.groups.group);
+        this.renderOverlays(layers.overlay.group);
+        this.renderRotationHandles(layers.handles.group);
+        this.renderLayoutPreview(layers.overlay.group);
         
-        const canvasWidth = Math.max(maxX + 50, window.innerWidth);
-        const canvasHeight = Math.max(maxY + 50, window.innerHeight - 100);
-        
-        canvas.setAttribute('width', canvasWidth);
-        canvas.setAttribute('height', canvasHeight);
-        canvas.setAttribute('viewBox', `0 0 ${canvasWidth} ${canvasHeight}`);
-        canvas.setAttribute('preserveAspectRatio', 'xMidYMid meet');
-        
-        console.log(`Canvas size: ${canvasWidth}x${canvasHeight}`);
+        // Rubber-band selection
+        if (this.selectionBox) {
+            const box = this.selectionBox;
+            const corner = this.viewport.worldToScreen(Math.min(box.startX, box.endX), Math.min(box.startY, box.endY));
+            layers.selection.group.appendChild(SvgLayer.create('rect', {
+                x: corner.x,
+                y: corner.y,
+                width: this.viewport.toScreenLength(Math.abs(box.endX - box.startX)),
+                height: this.viewport.toScreenLength(Math.abs(box.endY - box.startY)),
+                class: 'selection-box'
+            }));
+        }
+    }
+    
+    // One <g> per panel with its rectangle, issue outline and label, created the first time the
+    // panel is drawn and then only updated where something changed
+    renderPanels(layer) {
+        const heatmap = this.updateHeatmapScale();
+        const tweens = [];
+        const renderedValues = {};
+        // Layouts can repeat an ID (the layout check reports duplicate serials); each repeat
+        // still gets its own element
+        const idCounts = new Map();
         
-        // Render each panel
-        this.panels.forEach((panel, index) => {
-            // Try multiple ways to match panel to power data
-            const powerInfo = this.powerData[panel.id] || 
-                             this.powerData[panel.serialNumber] || 
-                             this.powerData[panel.inverterSerialNumber] || {};
+        layer.begin();
+        this.panels.forEach(panel => {
+            const count = idCounts.get(panel.id) || 0;
+            idCounts.set(panel.id, count + 1);
+            const key = count === 0 ? panel.id : `${panel.id}#${count}`;
+            const value = this.getHeatmapValue(panel, heatmap.metric);
+            // No inverter in DeviceList for this panel (as opposed to one reporting 0 W)
+            const unmatched = this.inventory && this.inventory.unmatchedPanels.includes(panel);
+            // Not heard from for a while: grey, with the age instead of an out-of-date reading
+            const stale = !unmatched && this.isPanelStale(panel);
+            // A reading that changed since the last render starts from the old value and eases to the new one
+            const previous = this.renderedValues[key];
+            const animate = this.animationMs > 0 && !stale && !unmatched && value !== null && previous &&
+                            previous.metric === this.heatmapMetric && previous.value !== null && previous.value !== value;
+            const shownValue = animate ? previous.value : value;
+            renderedValues[key] = { metric: this.heatmapMetric, value: shownValue };
+            const color = stale ? '#4b5563' : this.getHeatmapColor(shownValue);
             
-            // Debug matching
-            if (index < 3) { // Log first 3 panels for debugging
-                console.log(`Panel ${index} matching:`, {
-                    id: panel.id,
-                    serialNumber: panel.serialNumber,
-                    inverterSerialNumber: panel.inverterSerialNumber,
-                    foundPowerInfo: !!powerInfo && Object.keys(powerInfo).length > 0,
-                    powerDataKeys: Object.keys(this.powerData).slice(0, 5)
-                });
-            }
+            // Panel position and size on screen
+            const topLeft = this.viewport.worldToScreen(panel.x, panel.y);
+            const width = this.viewport.toScreenLength(panel.width);
+            const height = this.viewport.toScreenLength(panel.height);
+            const centerX = topLeft.x + width / 2;
+            const centerY = topLeft.y + height / 2;
             
-            const power = this.getPowerValue(powerInfo);
-            const color = this.getColorForPower(power);
+            const group = layer.item(key, () => {
+                const element = SvgLayer.create('g');
+                element.appendChild(SvgLayer.create('rect'));
+                // Outline for panels flagged by the anomaly detector
+                element.appendChild(SvgLayer.create('rect', { class: 'panel-issue-outline' }));
+                element.appendChild(SvgLayer.create('text', {
+                    'text-anchor': 'middle',
+                    'dominant-baseline': 'middle',
+                    class: 'panel-text'
+                }));
+                return element;
+            });
+            const [rect, outline, text] = group.children;
             
-            console.log(`Panel ${index}: id=${panel.id}, power=${power}, color=${color}, pos=(${panel.x},${panel.y}), size=${panel.width}x${panel.height}, rotation=${panel.planeRotation}°`);
+            // Quarter turns are already in width/height; the rest of the angle is drawn (see geometry.js)
+            const angle = Geometry.residualRotation(panel);
+            SvgLayer.set(group, 'transform', angle ? `rotate(${angle} ${centerX} ${centerY})` : null);
             
-            // Create a group for the panel to apply rotation
-            const group = document.createElementNS(svgNS, 'g');
+            const classes = ['panel'];
+            if (this.selectedPanelIds.has(panel.id)) classes.push('selected');
+            if (unmatched) classes.push('unmatched');
+            if (stale) classes.push('stale');
+            SvgLayer.setAll(rect, {
+                x: topLeft.x,
+                y: topLeft.y,
+                width: width,
+                height: height,
+                fill: color,
+                class: classes.join(' '),
+                'data-panel-id': panel.id || panel.serialNumber
+            });
             
-            // Calculate center point for rotation
-            const centerX = panel.x + panel.width / 2;
-            const centerY = panel.y + panel.height / 2;
+            const flagged = this.anomalyDetector && this.anomalyDetector.isFlagged(panel.id);
+            SvgLayer.setAll(outline, {
+                x: topLeft.x - 3,
+                y: topLeft.y - 3,
+                width: width + 6,
+                height: height + 6,
+                display: flagged ? null : 'none'
+            });
             
-            // Apply rotation transform only for angles that aren't 0/90/180/270
-            // For 0/90/180/270, dimensions are already swapped, so no visual rotation needed
-            if (panel.planeRotation && 
-                panel.planeRotation !== 0 && 
-                panel.planeRotation !== 90 && 
-                panel.planeRotation !== 180 && 
-                panel.planeRotation !== 270) {
-                group.setAttribute('transform', `rotate(${panel.planeRotation} ${centerX} ${centerY})`);
+            SvgLayer.setAll(text, { x: centerX, y: centerY });
+            if (unmatched) {
+                SvgLayer.setText(text, 'No data');
+            } else if (stale) {
+                SvgLayer.setText(text, `${this.formatAge(this.getReadingAge(panel))} ago`);
+            } else {
+                SvgLayer.setText(text, shownValue === null ? '—' : heatmap.metric.format(shownValue));
             }
             
-            // Create panel rectangle (positioned relative to top-left corner)
-            const rect = document.createElementNS(svgNS, 'rect');
-            rect.setAttribute('x', panel.x);
-            rect.setAttribute('y', panel.y);
-            rect.setAttribute('width', panel.width);
-            rect.setAttribute('height', panel.height);
-            rect.setAttribute('fill', color);
-            rect.setAttribute('class', 'panel');
-            rect.setAttribute('data-panel-id', panel.id || panel.serialNumber);
-            group.appendChild(rect);
-            
-            // Add power text
-            const text = document.createElementNS(svgNS, 'text');
-            text.setAttribute('x', centerX);
-            text.setAttribute('y', centerY);
-            text.setAttribute('text-anchor', 'middle');
-            text.setAttribute('dominant-baseline', 'middle');
-            text.setAttribute('class', 'panel-text');
-            text.textContent = `${power.toFixed(1)}W`;
-            group.appendChild(text);
-            
-            canvas.appendChild(group);
+            if (animate) {
+                tweens.push({ id: key, rect: rect, text: text, from: previous.value, to: value, format: heatmap.metric.format });
+            }
         });
+        layer.end();
         
-        console.log('Rendering complete, canvas children:', canvas.children.length);
-        
-        // Force a reflow/repaint to ensure SVG updates are applied
-        // This is especially important in Selenium/headless browsers
-        const dummy = canvas.offsetHeight; // Trigger reflow
-        
-        // Use requestAnimationFrame to ensure browser processes DOM changes
-        requestAnimationFrame(() => {
-            console.log('Render animation frame complete, final canvas children:', canvas.children.length);
+        this.renderedValues = renderedValues;
+        this.animateReadings(tweens);
+    }
+
+    // In edit mode, a knob above each selected panel's top edge (as drawn) for dragging its angle
+    renderRotationHandles(parent) {
+        if (!this.editPlacementEnabled) {
+            return;
+        }
+        this.getSelectedPanels().forEach(panel => {
+            const center = this.viewport.worldToScreen(Geometry.center(panel).x, Geometry.center(panel).y);
+            const top = center.y - this.viewport.toScreenLength(panel.height) / 2;
+            const angle = Geometry.residualRotation(panel);
+            const edge = Geometry.rotatePoint({ x: center.x, y: top }, center, angle);
+            const knob = Geometry.rotatePoint({ x: center.x, y: top - 20 }, center, angle);
+            parent.appendChild(SvgLayer.create('line', {
+                x1: edge.x,
+                y1: edge.y,
+                x2: knob.x,
+                y2: knob.y,
+                class: 'rotation-handle-line'
+            }));
+            parent.appendChild(SvgLayer.create('circle', {
+                cx: knob.x,
+                cy: knob.y,
+                r: 6,
+                class: 'rotation-handle',
+                'data-rotate-panel-id': panel.id
+            }));
         });
     }
 
-    startAutoRefresh() {
-        if (this.refreshInterval) {
-            clearInterval(this.refreshInterval);
+    // While a lined-up layout is previewed, outline where the panels are in the other version
+    renderLayoutPreview(parent) {
+        if (!this.layoutPreview) {
+            return;
+        }
+        const other = this.layoutPreview.showingAfter ? this.layoutPreview.before : this.layoutPreview.after;
+        other.forEach(panel => {
+            const topLeft = this.viewport.worldToScreen(panel.x, panel.y);
+            const width = this.viewport.toScreenLength(panel.width);
+            const height = this.viewport.toScreenLength(panel.height);
+            const angle = Geometry.residualRotation(panel);
+            parent.appendChild(SvgLayer.create('rect', {
+                x: topLeft.x,
+                y: topLeft.y,
+                width: width,
+                height: height,
+                class: 'layout-preview-outline',
+                transform: angle ? `rotate(${angle} ${topLeft.x + width / 2} ${topLeft.y + height / 2})` : null
+            }));
+        });
+    }
+
+    // Ease each changed reading from its old value to the new one, colour and text together.
+    // A render in the middle of an animation picks up from the values on screen.
+    animateReadings(tweens) {
+        cancelAnimationFrame(this.animationFrame);
+        this.animationFrame = null;
+        if (tweens.length === 0) {
+            return;
+        }
+        if (window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches) {
+            tweens.forEach(tween => {
+                SvgLayer.set(tween.rect, 'fill', this.getHeatmapColor(tween.to));
+                SvgLayer.setText(tween.text, tween.format(tween.to));
+                this.renderedValues[tween.id].value = tween.to;
+            });
+            return;
         }
         
-        const intervalMs = this.refreshIntervalMinutes * 60 * 1000;
-        this.refreshInterval = setInterval(() => {
-            this.loadPowerData();
-        }, intervalMs);
+        const start = performance.now();
+        const step = (now) => {
+            const progress = Math.min(1, (now - start) / this.animationMs);
+            const eased = progress < 0.5 ? 2 * progress * progress : 1 - Math.pow(-2 * progress + 2, 2) / 2;
+            tweens.forEach(tween => {
+                const value = tween.from + (tween.to - tween.from) * eased;
+                SvgLayer.set(tween.rect, 'fill', this.getHeatmapColor(value));
+                SvgLayer.setText(tween.text, tween.format(value));
+                this.renderedValues[tween.id].value = value;
+            });
+            this.animationFrame = progress < 1 ? requestAnimationFrame(step) : null;
+        };
+        this.animationFrame = requestAnimationFrame(step);
     }
 
     updateStatus(message) {
@@ -1069,25 +4090,14 @@ class SolarPanelMonitor {
     }
 
     exportPanelLayout() {
+        if (this.blockedByLayoutPreview()) return;
         if (!this.panels || this.panels.length === 0) {
             alert('No panels to export');
             return;
         }
 
-        // Create export data with only the essential fields
-        const exportData = this.panels.map(panel => {
-            return {
-                id: panel.id,
-                x: panel.x,
-                y: panel.y,
-                width: panel.width,
-                height: panel.height,
-                planeRotation: panel.planeRotation,
-                inverterSerialNumber: panel.inverterSerialNumber,
-                serialNumber: panel.serialNumber
-            };
-        });
-
+        const exportData = this.getLayoutExport();
+        
         // Format as JSON string for config.js
         const jsonString = JSON.stringify(exportData, null, 4);
         
@@ -1114,6 +4124,39 @@ class SolarPanelMonitor {
             this.updateStatus(`Panel layout exported to file! (${this.panels.length} panels)`);
         });
     }
+    
+    // The layout with only the essential fields, in layout units (Export Layout and saved versions)
+    getLayoutExport() {
+        const round = (value) => Number(value.toFixed(4));
+        return {
+            units: this.getLayoutUnits(),
+            panels: this.panels.map(panel => {
+                return {
+                    id: panel.id,
+                    x: round(panel.x),
+                    y: round(panel.y),
+                    width: round(panel.width),
+                    height: round(panel.height),
+                    planeRotation: panel.planeRotation,
+                    panelType: panel.panelType,
+                    inverterSerialNumber: panel.inverterSerialNumber,
+                    serialNumber: panel.serialNumber,
+                    moduleModel: panel.moduleModel,
+                    ratedWatts: panel.ratedWatts,
+                    inverterModel: panel.inverterModel,
+                    inverterRatedWatts: panel.inverterRatedWatts,
+                    groupId: panel.groupId
+                };
+            }),
+            groups: this.groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                tilt: group.tilt,
+                azimuth: group.azimuth,
+                color: group.color
+            }))
+        };
+    }
 }
 
 // Initialize the app when DOM is loaded
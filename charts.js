@@ -0,0 +1,92 @@
+// Small SVG chart builders used by the tooltip sparkline and the history view.
+// Each method returns SVG markup so it can be dropped straight into innerHTML.
+class PowerCharts {
+    // Format watts the same way as the Power Summary box
+    static formatPower(watts) {
+        if (watts >= 1000) {
+            return `${(watts / 1000).toFixed(2)} kW`;
+        }
+        return `${watts.toFixed(0)} W`;
+    }
+
+    // points: [{ timestamp, power }] sorted oldest first
+    static sparkline(points, options = {}) {
+        const width = options.width || 160;
+        const height = options.height || 36;
+        const padding = 2;
+
+        if (!points || points.length < 2) {
+            return `<svg class="sparkline" width="${width}" height="${height}"></svg>`;
+        }
+
+        const start = points[0].timestamp;
+        const end = points[points.length - 1].timestamp;
+        const timeSpan = Math.max(end - start, 1);
+        const maxPower = Math.max(...points.map(p => p.power), 1);
+
+        const coords = points.map(p => {
+            const x = padding + ((p.timestamp - start) / timeSpan) * (width - padding * 2);
+            const y = height - padding - (p.power / maxPower) * (height - padding * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        });
+
+        return `<svg class="sparkline" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+            `<polyline class="sparkline-line" points="${coords.join(' ')}" />` +
+            `</svg>`;
+    }
+
+    // Time-series chart with hour ticks and a power axis
+    // points: [{ timestamp, power }], options: { width, height, start, end }
+    static timeSeries(points, options = {}) {
+        const width = options.width || 600;
+        const height = options.height || 220;
+        const margin = { top: 10, right: 15, bottom: 25, left: 60 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+
+        const start = options.start !== undefined ? options.start : (points.length ? points[0].timestamp : Date.now());
+        const end = options.end !== undefined ? options.end : (points.length ? points[points.length - 1].timestamp : Date.now());
+        const timeSpan = Math.max(end - start, 1);
+        const maxPower = Math.max(...points.map(p => p.power), 100);
+
+        const xFor = (timestamp) => margin.left + ((timestamp - start) / timeSpan) * plotWidth;
+        const yFor = (power) => margin.top + plotHeight - (power / maxPower) * plotHeight;
+
+        let svg = `<svg class="history-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`;
+
+        // Horizontal grid lines with power labels
+        const gridLines = 4;
+        for (let i = 0; i <= gridLines; i++) {
+            const power = (maxPower / gridLines) * i;
+            const y = yFor(power);
+            svg += `<line class="chart-grid" x1="${margin.left}" y1="${y}" x2="${width - margin.right}" y2="${y}" />`;
+            svg += `<text class="chart-label" x="${margin.left - 5}" y="${y}" text-anchor="end" dominant-baseline="middle">${this.formatPower(power)}</text>`;
+        }
+
+        // Hour ticks along the time axis
+        const hourMs = 60 * 60 * 1000;
+        const hoursSpanned = timeSpan / hourMs;
+        const tickEvery = hoursSpanned > 12 ? 3 : (hoursSpanned > 4 ? 1 : 0.5);
+        const firstTick = Math.ceil(start / (tickEvery * hourMs)) * tickEvery * hourMs;
+        for (let t = firstTick; t <= end; t += tickEvery * hourMs) {
+            const x = xFor(t);
+            const label = new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            svg += `<line class="chart-tick" x1="${x}" y1="${margin.top + plotHeight}" x2="${x}" y2="${margin.top + plotHeight + 4}" />`;
+            svg += `<text class="chart-label" x="${x}" y="${height - 5}" text-anchor="middle">${label}</text>`;
+        }
+
+        if (points.length >= 2) {
+            const line = points.map(p => `${xFor(p.timestamp).toFixed(1)},${yFor(p.power).toFixed(1)}`).join(' ');
+            const baseline = yFor(0);
+            const area = `${xFor(points[0].timestamp).toFixed(1)},${baseline} ${line} ${xFor(points[points.length - 1].timestamp).toFixed(1)},${baseline}`;
+            svg += `<polygon class="chart-area" points="${area}" />`;
+            svg += `<polyline class="chart-line" points="${line}" />`;
+        } else {
+            svg += `<text class="chart-label" x="${margin.left + plotWidth / 2}" y="${margin.top + plotHeight / 2}" text-anchor="middle">No history recorded for this period</text>`;
+        }
+
+        svg += `<line class="chart-axis" x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" />`;
+        svg += `</svg>`;
+        return svg;
+    }
+}
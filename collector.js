@@ -0,0 +1,425 @@
+#!/usr/bin/env node
+// Headless collector: polls the PV6 on a schedule without a browser open, keeps every poll on disk
+// as JSON lines (one file per day, the same format the replay data source reads), and serves the
+// dashboard plus a small JSON API. Needs Node 18 or later and nothing else.
+//
+//   node collector.js [--config config.js] [--port 8080] [--host 127.0.0.1] [--data-dir data]
+//                     [--interval 5] [--once]
+//
+// Settings come from the collector section of config.js; command-line options override them.
+// --once polls a single time, prints a summary and exits.
+//
+// API:
+//   GET /api/status                      collector state, last poll and last error
+//   GET /api/devices                     latest poll: { timestamp, devices: [DeviceList records] }
+//   GET /api/layout                      the PV6 panel layout response (null until fetched)
+//   GET /api/history?since=&until=       { polls: [{ timestamp, devices }] } between two times (ms)
+//   GET /api/summary                     latest poll parsed: site totals and one reading per inverter
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const vm = require('vm');
+const SolarCore = require('./solar-core.js');
+const { Pv6DataSource } = require('./data-sources.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+        if (arg === '--config') options.config = next();
+        else if (arg === '--port') options.port = parseInt(next());
+        else if (arg === '--host') options.host = next();
+        else if (arg === '--data-dir') options.dataDir = next();
+        else if (arg === '--interval') options.pollIntervalMinutes = parseFloat(next());
+        else if (arg === '--once') options.once = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else throw new Error(`Unknown option ${arg} (see --help)`);
+    }
+    return options;
+}
+
+// config.js is a browser script declaring const CONFIG; evaluate it and hand CONFIG back
+function loadConfig(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`${file} not found - copy config.example.js to config.js first`);
+    }
+    const source = fs.readFileSync(file, 'utf8');
+    return vm.runInNewContext(`${source}\n;CONFIG`, { console: console }, { filename: file });
+}
+
+// Polls as JSON lines, one file per local day: <dir>/2025-06-01.jsonl
+class PollLog {
+    constructor(dir) {
+        this.dir = dir;
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    dayName(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    async append(poll) {
+        const file = path.join(this.dir, `${this.dayName(poll.timestamp)}.jsonl`);
+        await fs.promises.appendFile(file, JSON.stringify(poll) + '\n');
+    }
+
+    async read(since, until) {
+        const polls = [];
+        const first = new Date(since);
+        first.setHours(0, 0, 0, 0);
+        for (let day = first.getTime(); day <= until; day = new Date(day).setDate(new Date(day).getDate() + 1)) {
+            const file = path.join(this.dir, `${this.dayName(day)}.jsonl`);
+            let text;
+            try {
+                text = await fs.promises.readFile(file, 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+            text.split('\n').forEach(line => {
+                if (!line.trim()) return;
+                try {
+                    const poll = JSON.parse(line);
+                    if (poll.timestamp >= since && poll.timestamp <= until) {
+                        polls.push(poll);
+                    }
+                } catch (error) {
+                    // A line cut short by a crash; skip it
+                }
+            });
+        }
+        return polls;
+    }
+
+    // The last poll on disk, so a restarted collector has something to serve straight away
+    async latest() {
+        const files = (await fs.promises.readdir(this.dir)).filter(name => name.endsWith('.jsonl')).sort();
+        if (files.length === 0) return null;
+        const lines = (await fs.promises.readFile(path.join(this.dir, files[files.length - 1]), 'utf8'))
+            .split('\n').filter(line => line.trim());
+        for (let i = lines.length - 1; i >= 0; i--) {
+            try {
+                return JSON.parse(lines[i]);
+            } catch (error) {
+                // Keep looking past a truncated last line
+            }
+        }
+        return null;
+    }
+
+    async prune(retentionDays) {
+        const cutoff = this.dayName(Date.now() - retentionDays * DAY_MS);
+        const files = await fs.promises.readdir(this.dir);
+        const old = files.filter(name => name.endsWith('.jsonl') && name.slice(0, 10) < cutoff);
+        await Promise.all(old.map(name => fs.promises.unlink(path.join(this.dir, name))));
+        if (old.length > 0) {
+            console.log(`Deleted ${old.length} day(s) of polls older than ${retentionDays} days`);
+        }
+    }
+}
+
+class Collector {
+    constructor(config, options = {}) {
+        const settings = { ...(config.collector || {}), ...options };
+        this.config = config;
+        this.port = settings.port || 8080;
+        this.host = settings.host || '127.0.0.1';
+        this.dataDir = path.resolve(settings.dataDir || 'data');
+        this.pollIntervalMinutes = settings.pollIntervalMinutes || 5;
+        this.retentionDays = settings.retentionDays || 365;
+        this.timeoutMs = (settings.timeoutSeconds || 30) * 1000;
+        this.root = __dirname;
+        this.configFile = settings.configFile || null;
+        this.servedFiles = null;
+
+        this.source = new Pv6DataSource({
+            apiBaseUrl: config.apiBaseUrl,
+            panelLayoutEndpoint: config.panelLayoutEndpoint,
+            powerDataEndpoint: config.powerDataEndpoint,
+            logResponses: false
+        });
+        this.log = new PollLog(path.join(this.dataDir, 'polls'));
+        this.layoutFile = path.join(this.dataDir, 'layout.json');
+        this.layout = null;
+        this.latest = null;
+        this.lastError = null;
+        this.polling = false;
+        this.pollCount = 0;
+        this.lastPrune = 0;
+        this.startedAt = Date.now();
+    }
+
+    // Run request(signal), aborting the request when it takes longer than timeoutMs so a hung
+    // PV6 doesn't keep connections open
+    async withTimeout(request, what) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new Error(`${what} timed out after ${this.timeoutMs / 1000} s`)), this.timeoutMs);
+        try {
+            return await request(controller.signal);
+        } catch (error) {
+            throw controller.signal.aborted && controller.signal.reason instanceof Error ? controller.signal.reason : error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // The layout rarely changes: fetch it once and keep a copy for when the PV6 is unreachable
+    async loadLayout() {
+        try {
+            const response = await this.withTimeout(
+                signal => this.source.fetchJson(this.source.apiBaseUrl + this.source.panelLayoutEndpoint, { signal: signal }), 'Layout request');
+            this.layout = response;
+            await fs.promises.writeFile(this.layoutFile, JSON.stringify(response, null, 2));
+        } catch (error) {
+            console.warn(`Could not load the panel layout: ${error.message}`);
+            try {
+                this.layout = JSON.parse(await fs.promises.readFile(this.layoutFile, 'utf8'));
+                console.log('Using the last saved panel layout');
+            } catch (readError) {
+                this.layout = null;
+            }
+        }
+    }
+
+    async poll() {
+        // A slow PV6 must not pile up requests
+        if (this.polling) {
+            console.warn('Previous poll still running, skipping this one');
+            return;
+        }
+        this.polling = true;
+        try {
+            const devices = await this.withTimeout(signal => this.source.loadPower({ signal: signal }), 'DeviceList request');
+            const poll = { timestamp: Date.now(), devices: devices };
+            await this.log.append(poll);
+            this.latest = poll;
+            this.lastError = null;
+            this.pollCount++;
+
+            const summary = this.summarize(poll);
+            console.log(`${new Date(poll.timestamp).toLocaleString()}: ${summary.inverters.length} inverters, ${summary.totalPower.toFixed(0)} W`);
+
+            if (!this.layout) {
+                await this.loadLayout();
+            }
+            if (Date.now() - this.lastPrune > DAY_MS) {
+                this.lastPrune = Date.now();
+                await this.log.prune(this.retentionDays);
+            }
+        } catch (error) {
+            this.lastError = { time: Date.now(), message: error.message };
+            console.error(`Poll failed: ${error.message}`);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    summarize(poll) {
+        const { inverters, readings } = SolarCore.indexDevices(poll.devices);
+        return {
+            timestamp: poll.timestamp,
+            site: SolarCore.parseSiteDevices(poll.devices, inverters, this.config.consumptionMeterMode),
+            totalPower: readings.reduce((sum, reading) => sum + reading.power, 0),
+            inverters: readings.map(reading => {
+                const device = inverters.find(candidate => candidate.SERIAL && candidate.SERIAL.toUpperCase() === reading.serial);
+                return {
+                    ...reading,
+                    serial: device.SERIAL,
+                    state: device.STATEDESCR || device.STATE || null,
+                    reportedAt: SolarCore.parseDeviceTime(device.DATATIME)
+                };
+            })
+        };
+    }
+
+    async start() {
+        this.latest = await this.log.latest();
+        await this.loadLayout();
+        await this.poll();
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMinutes * 60 * 1000);
+
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch(error => {
+                console.error('Request failed:', error);
+                this.sendJson(response, 500, { error: error.message });
+            });
+        });
+        this.server.listen(this.port, this.host, () => {
+            console.log(`Polling every ${this.pollIntervalMinutes} min; dashboard at http://${this.host}:${this.port}/`);
+        });
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        if (this.server) {
+            this.server.close();
+        }
+    }
+
+    sendJson(response, status, body) {
+        response.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*',
+            'Cache-Control': 'no-store'
+        });
+        response.end(JSON.stringify(body));
+    }
+
+    async handleRequest(request, response) {
+        const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            this.sendJson(response, 405, { error: 'Only GET is supported' });
+            return;
+        }
+
+        switch (url.pathname) {
+            case '/api/status':
+                this.sendJson(response, 200, {
+                    startedAt: this.startedAt,
+                    pollIntervalMinutes: this.pollIntervalMinutes,
+                    polls: this.pollCount,
+                    lastPoll: this.latest ? this.latest.timestamp : null,
+                    lastError: this.lastError,
+                    layoutLoaded: !!this.layout
+                });
+                return;
+            case '/api/devices':
+                if (!this.latest) {
+                    this.sendJson(response, 503, { error: this.lastError ? this.lastError.message : 'No poll yet' });
+                    return;
+                }
+                // lastError is newer than the poll when the PV6 has stopped answering since
+                this.sendJson(response, 200, { ...this.latest, lastError: this.lastError });
+                return;
+            case '/api/layout':
+                this.sendJson(response, 200, this.layout);
+                return;
+            case '/api/history': {
+                // Left out or empty means the default; 0 is a time like any other
+                const param = name => {
+                    const value = url.searchParams.get(name);
+                    return value ? Number(value) : null;
+                };
+                const until = param('until') !== null ? param('until') : Date.now();
+                const since = param('since') !== null ? param('since') : until - DAY_MS;
+                if (!Number.isFinite(since) || !Number.isFinite(until) || since > until) {
+                    this.sendJson(response, 400, { error: 'since and until must be times in ms, since first' });
+                    return;
+                }
+                if (until - since > 31 * DAY_MS) {
+                    this.sendJson(response, 400, { error: 'Ask for at most 31 days at a time' });
+                    return;
+                }
+                this.sendJson(response, 200, { polls: await this.log.read(since, until) });
+                return;
+            }
+            case '/api/summary':
+                if (!this.latest) {
+                    this.sendJson(response, 503, { error: 'No poll yet' });
+                    return;
+                }
+                this.sendJson(response, 200, this.summarize(this.latest));
+                return;
+        }
+
+        await this.serveFile(url.pathname, response);
+    }
+
+    // index.html and the stylesheet and scripts it links to, read from the page so a new script is served too
+    async dashboardFiles() {
+        if (!this.servedFiles) {
+            const html = await fs.promises.readFile(path.join(this.root, 'index.html'), 'utf8');
+            const linked = [...html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/g)]
+                .map(match => match[1])
+                .filter(name => /^[\w.-]+$/.test(name));
+            this.servedFiles = new Set(['index.html', ...linked]);
+        }
+        return this.servedFiles;
+    }
+
+    // The dashboard's own files, nothing else (not the collector, tests, the data directory or dotfiles)
+    async serveFile(pathname, response) {
+        // The collector's config, switched over to reading from the collector
+        if (pathname === '/config.js' && this.configFile) {
+            const source = await fs.promises.readFile(this.configFile, 'utf8');
+            response.writeHead(200, { 'Content-Type': 'text/javascript; charset=utf-8', 'Cache-Control': 'no-store' });
+            response.end(`${source}\n// Added by collector.js\nCONFIG.dataSource = 'collector';\n`);
+            return;
+        }
+
+        const types = {
+            '.html': 'text/html; charset=utf-8',
+            '.js': 'text/javascript; charset=utf-8',
+            '.css': 'text/css; charset=utf-8'
+        };
+        let decoded;
+        try {
+            decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+        } catch (error) {
+            this.sendJson(response, 400, { error: 'Malformed URL' });
+            return;
+        }
+        const name = decoded.slice(1);
+        const files = await this.dashboardFiles();
+        if (!files.has(name) || !types[path.extname(name)]) {
+            this.sendJson(response, 404, { error: 'Not found' });
+            return;
+        }
+        try {
+            const body = await fs.promises.readFile(path.join(this.root, name));
+            response.writeHead(200, { 'Content-Type': types[path.extname(name)] });
+            response.end(body);
+        } catch (error) {
+            this.sendJson(response, 404, { error: 'Not found' });
+        }
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log('Usage: node collector.js [--config config.js] [--port 8080] [--host 127.0.0.1] [--data-dir data] [--interval 5] [--once]');
+        return;
+    }
+    const configFile = path.resolve(args.config || path.join(__dirname, 'config.js'));
+    const config = loadConfig(configFile);
+    const options = { configFile: configFile };
+    ['port', 'host', 'dataDir', 'pollIntervalMinutes'].forEach(key => {
+        if (args[key] !== undefined) options[key] = args[key];
+    });
+    const collector = new Collector(config, options);
+
+    if (args.once) {
+        await collector.poll();
+        if (!collector.latest) {
+            process.exitCode = 1;
+            return;
+        }
+        console.log(JSON.stringify(collector.summarize(collector.latest), null, 2));
+        return;
+    }
+
+    await collector.start();
+    const shutdown = () => {
+        console.log('Stopping collector');
+        collector.stop();
+        process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { Collector, PollLog };
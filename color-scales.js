@@ -0,0 +1,74 @@
+// Colour palettes for the panel heatmap. A palette is a list of colour stops from the low end of the
+// range to the high end; values in between are interpolated in RGB.
+class ColorScale {
+    static get palettes() {
+        return {
+            // The original ramp: black for nothing, then dark to bright green
+            green: {
+                label: 'Green',
+                floor: '#000000',
+                stops: ['#001e00', '#00ff00']
+            },
+            // Perceptually uniform and readable with the common forms of colour blindness
+            viridis: {
+                label: 'Viridis (colorblind-safe)',
+                stops: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725']
+            },
+            cividis: {
+                label: 'Cividis (colorblind-safe)',
+                stops: ['#00224e', '#35456c', '#666970', '#948e77', '#c8b866', '#fee838']
+            },
+            inferno: {
+                label: 'Inferno',
+                stops: ['#000004', '#420a68', '#932667', '#dd513a', '#fca50a', '#fcffa4']
+            },
+            grayscale: {
+                label: 'Grayscale',
+                stops: ['#111111', '#f5f5f5']
+            }
+        };
+    }
+
+    static getPalette(name) {
+        const palettes = ColorScale.palettes;
+        return palettes[name] || palettes.green;
+    }
+
+    static parseHex(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+    }
+
+    // Colour at position t (0-1) along the stops
+    static interpolate(stops, t) {
+        const clamped = Math.min(Math.max(t, 0), 1);
+        const position = clamped * (stops.length - 1);
+        const index = Math.min(Math.floor(position), stops.length - 2);
+        const fraction = position - index;
+        const from = ColorScale.parseHex(stops[index]);
+        const to = ColorScale.parseHex(stops[index + 1]);
+        const channel = (i) => Math.round(from[i] + (to[i] - from[i]) * fraction);
+        return `rgb(${channel(0)}, ${channel(1)}, ${channel(2)})`;
+    }
+
+    // Colour for a value within [min, max]. Palettes with a floor colour use it for values at or
+    // below the minimum, so "nothing" stands out from "a little".
+    static color(paletteName, value, min, max) {
+        const palette = ColorScale.getPalette(paletteName);
+        const span = max - min;
+        const t = span > 0 ? (value - min) / span : 0;
+        if (palette.floor && t <= 0) {
+            return palette.floor;
+        }
+        return ColorScale.interpolate(palette.stops, t);
+    }
+
+    // Stops for an SVG linearGradient: [{ offset: '0%', color }]
+    static gradientStops(paletteName) {
+        const stops = ColorScale.getPalette(paletteName).stops;
+        return stops.map((color, index) => ({
+            offset: `${(index / (stops.length - 1)) * 100}%`,
+            color: color
+        }));
+    }
+}
@@ -2,6 +2,12 @@
 // Copy this file to config.js and update with your actual URLs
 
 const CONFIG = {
+    // Where the data comes from: 'pv6' (the PV6 dl_cgi endpoints below), 'replay' (a static
+    // file of recorded polls), 'http' (any JSON-over-HTTP source, using field mappings) or
+    // 'collector' (collector.js; set automatically when the collector serves the dashboard).
+    // Settings for 'replay', 'http' and 'collector' go in dataSourceOptions further down.
+    dataSource: 'pv6',
+    
     // Base URL for the solar panel API
     apiBaseUrl: 'http://127.0.0.1',
     
@@ -11,14 +17,230 @@ const CONFIG = {
     // Endpoint for power data
     powerDataEndpoint: '/cgi-bin/dl_cgi?Command=DeviceList',
     
+    // Live polling. A request that takes longer than timeoutSeconds is cancelled; after a failed
+    // poll the next try comes after retrySeconds, doubling (with some randomness) up to
+    // maxRetryMinutes. Polling pauses while the page is hidden unless pauseWhenHidden is false.
+    // Panels the PVS hasn't heard from for staleAfterMinutes are greyed out; by default that's
+    // three refresh intervals, and at least 15 minutes (three sleep heartbeats at night).
+    polling: {
+        timeoutSeconds: 30,
+        retrySeconds: 15,
+        maxRetryMinutes: 30,
+        pauseWhenHidden: true,
+        staleAfterMinutes: null
+    },
+    
+    // Live mode (the "Live" checkbox) polls every intervalSeconds and switches itself off after
+    // idleMinutes without mouse or keyboard input. Only one poll per refresh interval goes into
+    // the history, energy totals, alerts and publishing.
+    liveMode: {
+        intervalSeconds: 5,
+        idleMinutes: 10
+    },
+    
+    // Night-time sleep: while the array is asleep, poll only every heartbeatMinutes.
+    // mode 'sun' sleeps while the sun is below sunElevation degrees (needs solarModel's location)
+    // and wakes at sunrise; 'zero' sleeps after zeroPolls polls in a row with the array producing
+    // nothing and wakes when a heartbeat sees power; 'auto' is 'sun' when a location is set,
+    // otherwise 'zero'; 'off' polls all night.
+    sleep: {
+        mode: 'auto',
+        heartbeatMinutes: 30,
+        sunElevation: -2,
+        zeroPolls: 3
+    },
+    
+    // Changes in colour and readings are eased over durationMs (skipped when the system asks
+    // for reduced motion)
+    animation: {
+        enabled: true,
+        durationMs: 800
+    },
+    
+    // Options for the non-PV6 data sources (only the one named by dataSource is used)
+    dataSourceOptions: {
+        // Recorded polls: JSON lines of { timestamp, devices } or { timestamp, data: <DeviceList response> },
+        // or CSV with a header row of timestamp,serial,power_kw[,energy_kwh]
+        replay: {
+            url: 'recordings/devicelist.jsonl',
+            layoutUrl: null // Optional: a saved /panels/layout response
+        },
+        // A collector.js running somewhere else; leave url empty when it serves the dashboard
+        collector: {
+            url: ''
+        },
+        // Generic JSON over HTTP. Paths are dotted (e.g. 'result.inverters'); use powerKw
+        // instead of powerW if the source reports kilowatts
+        http: {
+            layoutUrl: null,
+            powerUrl: 'http://127.0.0.1:8080/api/inverters',
+            historyUrl: null, // Called with ?since=&until= in milliseconds
+            layoutPath: 'panels',
+            devicesPath: 'inverters',
+            historyPath: 'polls',
+            fields: {
+                serial: 'serial',
+                x: 'x',
+                y: 'y',
+                rotation: 'rotation',
+                powerW: 'power',
+                energyKwh: null,
+                timestamp: 'timestamp'
+            }
+        }
+    },
+    
+    // How the consumption CT meter is installed: 'net' if it measures the grid connection
+    // (positive = importing, negative = exporting), 'gross' if it measures the household load
+    consumptionMeterMode: 'net',
+    
+    // Units for the layout model, panel sizes and dimensions: 'm' (metres) or 'in' (inches)
+    layoutUnits: 'm',
+    
+    // Module sizes per panel type, in portrait orientation (width is the short side), in layoutUnits.
+    // Panels use 'default' unless their panelType names another entry. ratedWatts is the module's
+    // nameplate rating (W DC); optionally add moduleModel, inverterModel and inverterRatedWatts
+    // (W AC, for the DC/AC ratio). Individual panels can override these with "Nameplate…" in
+    // Edit placement mode.
+    panelModules: {
+        default: { width: 1.046, height: 1.690, ratedWatts: 400 }
+    },
+    
+    // Layout units per PV6 xCoordinate/yCoordinate unit. Leave null to assume a module is
+    // 80 PV6 units wide; adjust if the drawing doesn't match the roof.
+    pv6CoordinateScale: null,
+    
+    // Direction of true north, in degrees clockwise from the top of the drawing (for the north arrow)
+    layoutNorthBearing: 0,
+    
+    // Grid spacing for "Snap to grid" in Edit placement mode, in layout units
+    // (default: 0.1 m or 4 in)
+    snapGridSpacing: null,
+    
+    // Layouts from the data source often have slightly inconsistent coordinates. On load the app
+    // finds their rows and columns and offers a lined-up version: 'preview' shows it to accept or
+    // reject, 'auto' applies it (undoable), 'off' only pushes overlapping panels apart.
+    layoutRecovery: 'preview',
+    
+    // Save edited layouts in the browser (localStorage) and restore them on load.
+    // A saved layout takes precedence over localLayout below; pick "Reload from data source"
+    // in the Layout menu to go back to it.
+    saveLayoutInBrowser: true,
+    
+    // Panel heatmap defaults (all can be changed on the canvas):
+    // - metric: power, percentRated, energyToday, temperature, mpptVoltage, mpptCurrent or commAge
+    // - palette: green, viridis, cividis, inferno or grayscale (viridis and cividis are colorblind-safe)
+    // - range: 'auto' scales to the current readings, 'fixed' uses fixedRanges (or built-in limits)
+    heatmap: {
+        metric: 'power',
+        palette: 'green',
+        range: 'auto',
+        fixedRanges: {
+            // power: [0, 400],
+            // temperature: [20, 70]
+        }
+    },
+    
+    // Expected production from a clear-sky model of the sun (no network needed). Set latitude and
+    // longitude (decimal degrees, west/south negative) to turn it on. tilt and azimuth are the default
+    // roof orientation in degrees (azimuth clockwise from true north, 180 = south-facing), used for
+    // panels that aren't in a roof plane group with its own orientation;
+    // systemLossPercent covers wiring, soiling, heat and inverter losses.
+    solarModel: {
+        latitude: null,
+        longitude: null,
+        tilt: 20,
+        azimuth: 180,
+        systemLossPercent: 14,
+        albedo: 0.2
+    },
+    
     // Optional: Local panel layout (exported from the app)
     // If provided, this will be used instead of fetching from the API
     // To use: Export the panel layout from the app, then paste it here
-    // Example format:
-    // localLayout: [
-    //     { id: 'panel-1', x: 50, y: 50, width: 80, height: 120, planeRotation: 0, inverterSerialNumber: 'SN123' },
-    //     { id: 'panel-2', x: 150, y: 50, width: 120, height: 80, planeRotation: 90, inverterSerialNumber: 'SN456' }
-    // ]
-    localLayout: null
+    // Example format (positions and sizes in the given units):
+    // localLayout: {
+    //     units: 'm',
+    //     panels: [
+    //         { id: 'panel-1', x: 0, y: 0, width: 1.046, height: 1.69, planeRotation: 0, inverterSerialNumber: 'SN123' },
+    //         { id: 'panel-2', x: 1.1, y: 0, width: 1.69, height: 1.046, planeRotation: 90, inverterSerialNumber: 'SN456', groupId: 'east' }
+    //     ],
+    //     groups: [
+    //         { id: 'east', name: 'East roof', tilt: 30, azimuth: 90, color: '#60a5fa' }
+    //     ]
+    // }
+    // Layouts exported by older versions (a plain array) are still accepted.
+    localLayout: null,
+    
+    // Power history: each poll is stored in the browser (IndexedDB) for the history
+    // chart and the per-panel sparklines. Readings older than historyRetentionDays
+    // are deleted automatically.
+    historyEnabled: true,
+    historyRetentionDays: 30,
+    
+    // Underperforming panel detection: each panel is compared with its peers at every poll
+    // and flagged when it stays thresholdPercent below the peer median for consecutivePolls
+    // polls in a row. peerMode is 'rotation' (panels with the same planeRotation) or
+    // 'nearby' (the neighbourCount closest panels in the layout). Peers producing less
+    // than minPeerPower watts (night, heavy cloud) are not compared.
+    anomalyDetection: {
+        enabled: true,
+        thresholdPercent: 25,
+        consecutivePolls: 3,
+        peerMode: 'rotation',
+        neighbourCount: 6,
+        minPeerPower: 20,
+        // With solarModel configured, compare panels by actual/expected output rather than raw watts
+        normalizeByExpected: true
+    },
+    
+    // Alert rules, checked after every poll. A rule fires once its condition has held for
+    // consecutivePolls polls in a row, showing a banner, a browser notification (after you click
+    // "Enable Notifications" in the alert log) and an alert log entry. Rule types:
+    //   inverterState   - any inverter whose STATE or STATEDESCR is one of states
+    //   totalPowerBelow - whole-array output below watts, optionally only between from and to (local time)
+    //   pollFailed      - the PVS couldn't be reached
+    //   heatsinkAbove   - any inverter heatsink hotter than celsius
+    // Snoozing an alert keeps its rule quiet for snoozeMinutes.
+    alerts: {
+        enabled: true,
+        notifications: true,
+        snoozeMinutes: 60,
+        rules: [
+            { id: 'inverter-error', name: 'Inverter error', type: 'inverterState', states: ['error'], consecutivePolls: 1 },
+            { id: 'pvs-unreachable', name: 'PVS unreachable', type: 'pollFailed', consecutivePolls: 3 },
+            { id: 'hot-inverter', name: 'Inverter overheating', type: 'heatsinkAbove', celsius: 70, consecutivePolls: 2 }
+            // { id: 'low-midday', name: 'Low midday production', type: 'totalPowerBelow', watts: 500, from: '10:00', to: '15:00', consecutivePolls: 3 }
+        ]
+    },
+    
+    // Optional: publish every poll for home automation. webhook POSTs the readings as JSON (the
+    // endpoint must allow cross-origin requests); mqtt publishes them to a broker's WebSocket
+    // listener, with Home Assistant discovery so the sensors appear automatically.
+    publish: {
+        webhook: null,
+        // webhook: { url: 'http://localhost:8123/solar', headers: { Authorization: 'Bearer ...' } },
+        mqtt: null
+        // mqtt: {
+        //     url: 'ws://homeassistant.local:1884/mqtt',
+        //     username: 'solar',
+        //     password: '...',
+        //     topicPrefix: 'solarpaneler',
+        //     discovery: true,
+        //     discoveryPrefix: 'homeassistant',
+        //     retain: true
+        // }
+    },
+    
+    // The headless collector (node collector.js): polls the PV6 at apiBaseUrl on its own schedule,
+    // keeps every poll in dataDir as JSON lines for retentionDays, and serves the dashboard and
+    // its JSON API on host:port. Use host '0.0.0.0' to reach it from other machines.
+    collector: {
+        port: 8080,
+        host: '127.0.0.1',
+        dataDir: 'data',
+        pollIntervalMinutes: 5,
+        retentionDays: 365,
+        timeoutSeconds: 30
+    }
 };
-
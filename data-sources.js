@@ -0,0 +1,371 @@
+// Data-source adapters. Every adapter turns its source's format into the shapes the app uses:
+// - loadLayout(): raw layout entries { xCoordinate, yCoordinate, planeRotation, inverterSerialNumber }
+//   or null if the source has no layout
+// - loadPower(options): DeviceList-style device objects, with SERIAL, DEVICE_TYPE and p_3phsum_kw (kW),
+//   or a poll { timestamp, devices } when the source knows when the readings were taken.
+//   options.signal (an AbortSignal) cancels the request, e.g. when it times out
+// - loadHistory(since, until): recorded polls [{ timestamp, devices }], oldest first
+// - recorded: true when loadPower() replays old polls, which are shown but not stored as new history
+// CONFIG.dataSource chooses the adapter by name (see DataSource.create).
+// The file also loads in Node (collector.js), which has fetch built in from Node 18.
+class DataSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.recorded = false;
+    }
+
+    static create(name, options = {}) {
+        const adapters = {
+            pv6: Pv6DataSource,
+            replay: ReplayDataSource,
+            http: HttpJsonDataSource,
+            collector: CollectorDataSource
+        };
+        const Adapter = adapters[name];
+        if (!Adapter) {
+            throw new Error(`Unknown data source "${name}" (expected one of: ${Object.keys(adapters).join(', ')})`);
+        }
+        console.log(`Using ${name} data source`);
+        return new Adapter(options);
+    }
+
+    async fetchJson(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    async fetchText(url, options = {}) {
+        const response = await fetch(url, { signal: options.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    async loadLayout() {
+        return null;
+    }
+
+    async loadPower(options = {}) {
+        throw new Error(`${this.constructor.name} does not provide power data`);
+    }
+
+    async loadHistory(since, until) {
+        return [];
+    }
+
+    // Read a dotted path such as 'result.panels' out of an object
+    static getPath(object, path) {
+        if (!path) {
+            return object;
+        }
+        return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), object);
+    }
+}
+
+// The PV6 dl_cgi endpoints: /panels/layout for placement and Command=DeviceList for power
+class Pv6DataSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.apiBaseUrl = options.apiBaseUrl || '';
+        this.panelLayoutEndpoint = options.panelLayoutEndpoint || '/cgi-bin/dl_cgi/panels/layout';
+        this.powerDataEndpoint = options.powerDataEndpoint || '/cgi-bin/dl_cgi?Command=DeviceList';
+    }
+
+    async loadLayout() {
+        const data = await this.fetchJson(this.apiBaseUrl + this.panelLayoutEndpoint);
+        if (this.options.logResponses !== false) {
+            console.log('Panel layout data received:', data);
+        }
+        return this.parseLayout(data);
+    }
+
+    parseLayout(data) {
+        // Handle the specific JSON format: {result: {panels: [...]}, success: "true"}
+        let panelsArray = [];
+        if (data.result && data.result.panels) {
+            panelsArray = data.result.panels;
+        } else if (Array.isArray(data)) {
+            panelsArray = data;
+        } else if (data.panels) {
+            panelsArray = data.panels;
+        } else if (data.Panels) {
+            panelsArray = data.Panels;
+        }
+
+        return panelsArray.map(panel => ({
+            ...panel,
+            xCoordinate: panel.xCoordinate !== undefined ? panel.xCoordinate : panel.x,
+            yCoordinate: panel.yCoordinate !== undefined ? panel.yCoordinate : panel.y,
+            planeRotation: panel.planeRotation || 0,
+            inverterSerialNumber: panel.inverterSerialNumber || panel.serialNumber || panel.SerialNumber || panel.id || panel.ID
+        }));
+    }
+
+    async loadPower(options = {}) {
+        const data = await this.fetchJson(this.apiBaseUrl + this.powerDataEndpoint, options);
+        if (this.options.logResponses !== false) {
+            console.log('Power data received:', data);
+        }
+        return this.parseDevices(data);
+    }
+
+    parseDevices(data) {
+        const devices = Array.isArray(data) ? data : (data.devices || data.DeviceList || data.Devices || []);
+        return devices.map(device => this.normalizeDevice(device));
+    }
+
+    // Older firmware and hand-made captures use a variety of field names
+    normalizeDevice(device) {
+        const normalized = { ...device };
+
+        if (!normalized.SERIAL) {
+            normalized.SERIAL = device.serialNumber || device.SerialNumber ||
+                                device.inverterSerialNumber || device.InverterSerialNumber ||
+                                device.id || device.ID;
+        }
+
+        // p_3phsum_kw is in kilowatts; the fallbacks are already in watts
+        const isSet = (value) => value !== undefined && value !== null && value !== '';
+        if (!isSet(normalized.p_3phsum_kw)) {
+            if (isSet(device.p_3phsum_kW)) {
+                normalized.p_3phsum_kw = device.p_3phsum_kW;
+            } else {
+                // First field that's present, so a reading of 0 W doesn't fall through to the next one
+                const fields = ['power', 'Power', 'powerWatts', 'PowerWatts', 'currentPower', 'CurrentPower',
+                                'instantPower', 'InstantPower'];
+                const field = fields.find(name => isSet(device[name]));
+                const watts = field ? parseFloat(device[field]) : NaN;
+                if (!isNaN(watts)) {
+                    normalized.p_3phsum_kw = String(watts / 1000);
+                }
+            }
+        }
+
+        return normalized;
+    }
+}
+
+// Replays a static file of recorded polls instead of talking to a live system. Supported formats:
+// - JSON lines: one { timestamp, devices } (or { timestamp, data: <DeviceList response> }) per line
+// - JSON array of the same objects
+// - CSV with a header row: timestamp,serial,power_kw[,energy_kwh]
+// Each loadPower() call returns the next recorded poll, looping at the end. They're old polls, so
+// the app doesn't add them to the history or energy totals (and looping can't count anything twice).
+class ReplayDataSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.recorded = true;
+        this.url = options.url;
+        this.layoutUrl = options.layoutUrl;
+        this.frames = null;
+        this.position = 0;
+        this.pv6 = new Pv6DataSource();
+    }
+
+    async loadLayout() {
+        if (!this.layoutUrl) {
+            return null;
+        }
+        return this.pv6.parseLayout(await this.fetchJson(this.layoutUrl));
+    }
+
+    async loadFrames(options = {}) {
+        if (this.frames) {
+            return this.frames;
+        }
+        if (!this.url) {
+            throw new Error('Replay data source needs a url');
+        }
+        const text = await this.fetchText(this.url, options);
+        this.frames = this.url.toLowerCase().endsWith('.csv') ? this.parseCsv(text) : this.parseJson(text);
+        console.log(`Loaded ${this.frames.length} recorded polls from ${this.url}`);
+        return this.frames;
+    }
+
+    // Accepts a JSON array or JSON lines
+    parseJson(text) {
+        const trimmed = text.trim();
+        const records = trimmed.startsWith('[')
+            ? JSON.parse(trimmed)
+            : trimmed.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+
+        return records
+            .map(record => ({
+                timestamp: typeof record.timestamp === 'number' ? record.timestamp : Date.parse(record.timestamp),
+                devices: this.pv6.parseDevices(record.devices || record.data || record)
+            }))
+            .filter(frame => !isNaN(frame.timestamp))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    parseCsv(text) {
+        const lines = text.trim().split('\n').map(line => line.split(',').map(cell => cell.trim()));
+        const header = lines.shift().map(name => name.toLowerCase());
+        const column = (name) => header.indexOf(name);
+        const frames = new Map();
+
+        lines.forEach(cells => {
+            const rawTimestamp = cells[column('timestamp')];
+            const timestamp = /^\d+$/.test(rawTimestamp) ? parseInt(rawTimestamp) : Date.parse(rawTimestamp);
+            if (isNaN(timestamp)) {
+                return;
+            }
+            if (!frames.has(timestamp)) {
+                frames.set(timestamp, []);
+            }
+            const device = {
+                SERIAL: cells[column('serial')],
+                DEVICE_TYPE: 'Inverter',
+                p_3phsum_kw: cells[column('power_kw')]
+            };
+            if (column('energy_kwh') !== -1) {
+                device.ltea_3phsumi_kwh = cells[column('energy_kwh')];
+            }
+            frames.get(timestamp).push(device);
+        });
+
+        return Array.from(frames.entries())
+            .map(([timestamp, devices]) => ({ timestamp, devices }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    async loadPower(options = {}) {
+        const frames = await this.loadFrames(options);
+        if (frames.length === 0) {
+            return [];
+        }
+        const frame = frames[this.position % frames.length];
+        this.position++;
+        return frame.devices;
+    }
+
+    async loadHistory(since, until = Date.now()) {
+        const frames = await this.loadFrames();
+        return frames.filter(frame => frame.timestamp >= since && frame.timestamp <= until);
+    }
+}
+
+// Any JSON-over-HTTP source, described by field mappings in config:
+// {
+//     layoutUrl, powerUrl, historyUrl,      // historyUrl gets ?since=&until= (ms) appended
+//     layoutPath: 'panels',                 // where the panel array sits in the layout response
+//     devicesPath: 'inverters',             // where the device array sits in the power response
+//     historyPath: 'polls',                 // where the poll array sits in the history response
+//     fields: { serial, x, y, rotation, powerW or powerKw, energyKwh, deviceType, timestamp }
+// }
+class HttpJsonDataSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.fields = Object.assign({
+            serial: 'serial',
+            x: 'x',
+            y: 'y',
+            rotation: 'rotation',
+            powerW: 'power',
+            deviceType: null,
+            timestamp: 'timestamp'
+        }, options.fields || {});
+    }
+
+    async loadLayout() {
+        if (!this.options.layoutUrl) {
+            return null;
+        }
+        const data = await this.fetchJson(this.options.layoutUrl);
+        const panels = DataSource.getPath(data, this.options.layoutPath) || [];
+        return panels.filter(panel => this.getSerial(panel) !== null).map(panel => ({
+            xCoordinate: parseFloat(DataSource.getPath(panel, this.fields.x)) || 0,
+            yCoordinate: parseFloat(DataSource.getPath(panel, this.fields.y)) || 0,
+            planeRotation: parseFloat(DataSource.getPath(panel, this.fields.rotation)) || 0,
+            inverterSerialNumber: this.getSerial(panel)
+        }));
+    }
+
+    // A record's serial as a string, or null for records without one (which are skipped)
+    getSerial(record) {
+        const serial = DataSource.getPath(record, this.fields.serial);
+        return serial === undefined || serial === null || serial === '' ? null : String(serial);
+    }
+
+    // Map one source record to a DeviceList-style device
+    mapDevice(record) {
+        const device = { ...record };
+        device.SERIAL = this.getSerial(record);
+        device.DEVICE_TYPE = this.fields.deviceType ? DataSource.getPath(record, this.fields.deviceType) : 'Inverter';
+
+        if (this.fields.powerKw) {
+            device.p_3phsum_kw = DataSource.getPath(record, this.fields.powerKw);
+        } else {
+            const watts = parseFloat(DataSource.getPath(record, this.fields.powerW));
+            device.p_3phsum_kw = isNaN(watts) ? undefined : String(watts / 1000);
+        }
+        if (this.fields.energyKwh) {
+            device.ltea_3phsumi_kwh = DataSource.getPath(record, this.fields.energyKwh);
+        }
+        return device;
+    }
+
+    async loadPower(options = {}) {
+        if (!this.options.powerUrl) {
+            throw new Error('HTTP JSON data source needs a powerUrl');
+        }
+        const data = await this.fetchJson(this.options.powerUrl, options);
+        const records = DataSource.getPath(data, this.options.devicesPath) || [];
+        return records.filter(record => this.getSerial(record) !== null).map(record => this.mapDevice(record));
+    }
+
+    async loadHistory(since, until = Date.now()) {
+        if (!this.options.historyUrl) {
+            return [];
+        }
+        const separator = this.options.historyUrl.includes('?') ? '&' : '?';
+        const data = await this.fetchJson(`${this.options.historyUrl}${separator}since=${since}&until=${until}`);
+        const polls = DataSource.getPath(data, this.options.historyPath) || [];
+        return polls.map(poll => {
+            const rawTimestamp = DataSource.getPath(poll, this.fields.timestamp);
+            const records = DataSource.getPath(poll, this.options.devicesPath) || [];
+            return {
+                timestamp: typeof rawTimestamp === 'number' ? rawTimestamp : Date.parse(rawTimestamp),
+                devices: records.filter(record => this.getSerial(record) !== null).map(record => this.mapDevice(record))
+            };
+        });
+    }
+}
+
+// The Node collector (collector.js), which polls the PV6 around the clock and keeps the history.
+// url is where the collector runs; leave it empty when the collector also serves the dashboard.
+class CollectorDataSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.url = (options.url || '').replace(/\/$/, '');
+        this.pv6 = new Pv6DataSource();
+    }
+
+    async loadLayout() {
+        const data = await this.fetchJson(`${this.url}/api/layout`);
+        return data ? this.pv6.parseLayout(data) : null;
+    }
+
+    // The collector's latest poll (it polls on its own schedule), with the time it was taken. The
+    // collector keeps serving its last good poll when the PV6 stops answering; that's a failure here.
+    async loadPower(options = {}) {
+        const data = await this.fetchJson(`${this.url}/api/devices`, options);
+        if (data.lastError && data.lastError.time > data.timestamp) {
+            throw new Error(`Collector can't reach the PVS: ${data.lastError.message}`);
+        }
+        return { timestamp: data.timestamp, devices: data.devices || [] };
+    }
+
+    async loadHistory(since, until = Date.now()) {
+        const data = await this.fetchJson(`${this.url}/api/history?since=${since}&until=${until}`);
+        return data.polls || [];
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DataSource, Pv6DataSource, ReplayDataSource, HttpJsonDataSource, CollectorDataSource };
+}
@@ -0,0 +1,143 @@
+// Works out energy produced (kWh) from the inverters' lifetime counters (ltea_3phsumi_kwh).
+// Each poll is compared with the last counter seen for that inverter and the difference
+// is added to the inverter's total for the day and to its running lifetime total, which starts
+// from the counter's value when the inverter is first seen. Totals for today, this week, this
+// month and the lifetime are then summed per inverter and for the whole array.
+class EnergyTracker {
+    constructor(historyStore, options = {}) {
+        this.historyStore = historyStore;
+        // Largest believable output for one inverter, used to reject counter jumps
+        this.maxInverterKw = options.maxInverterKw || 1;
+        this.counters = null; // serial -> { serial, kwh, timestamp, lifetime }
+    }
+
+    // Local 'YYYY-MM-DD' key for the day containing timestamp
+    static dayKey(timestamp) {
+        const date = new Date(timestamp);
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Energy since the previous counter reading, never negative.
+    // - First reading for an inverter (new or replaced): baseline only, no energy
+    // - Counter went backwards (inverter reset): the counter restarted from zero, so the
+    //   new value is the energy since the reset, if it is believable
+    // - Jump larger than the inverter could have produced: rebaseline without counting it
+    counterDelta(previous, current, timestamp) {
+        if (!previous || !isFinite(previous.kwh)) {
+            return 0;
+        }
+
+        const elapsedHours = Math.max((timestamp - previous.timestamp) / (60 * 60 * 1000), 0);
+        const maxPlausible = elapsedHours * this.maxInverterKw;
+        let delta = current - previous.kwh;
+
+        if (delta < 0) {
+            console.warn(`Energy counter went backwards (${previous.kwh} -> ${current} kWh), treating as a reset`);
+            delta = current;
+        }
+
+        if (delta > maxPlausible) {
+            console.warn(`Ignoring implausible energy counter jump of ${delta.toFixed(3)} kWh in ${elapsedHours.toFixed(2)} h`);
+            return 0;
+        }
+
+        return delta;
+    }
+
+    async loadCounters() {
+        if (this.counters) {
+            return this.counters;
+        }
+        const counters = await this.historyStore.getCounters();
+        this.counters = {};
+        counters.forEach(counter => {
+            this.counters[counter.serial] = counter;
+        });
+        return this.counters;
+    }
+
+    // Record one poll: readings is an array of { serial, kwh } lifetime counter values
+    async recordCounters(timestamp, readings) {
+        const counters = await this.loadCounters();
+        const day = EnergyTracker.dayKey(timestamp);
+        const updatedCounters = [];
+        const energy = [];
+
+        readings.forEach(reading => {
+            if (reading.kwh === null || !isFinite(reading.kwh)) {
+                return;
+            }
+            const previous = counters[reading.serial];
+            const delta = this.counterDelta(previous, reading.kwh, timestamp);
+            // Counters saved before the running total was kept start it from their last value
+            const lifetime = previous ? (isFinite(previous.lifetime) ? previous.lifetime : previous.kwh) + delta : reading.kwh;
+            const counter = { serial: reading.serial, kwh: reading.kwh, timestamp: timestamp, lifetime: lifetime };
+
+            counters[reading.serial] = counter;
+            updatedCounters.push(counter);
+            if (delta > 0) {
+                energy.push({ serial: reading.serial, day: day, kwh: delta });
+            }
+        });
+
+        if (updatedCounters.length > 0) {
+            await this.historyStore.saveEnergy(updatedCounters, energy);
+        }
+    }
+
+    // Energy totals per inverter and for the whole array:
+    // { array: { today, week, month, lifetime }, inverters: { serial: { today, week, month, lifetime } } }
+    async getTotals(now = Date.now()) {
+        const counters = await this.loadCounters();
+        const today = new Date(now);
+        today.setHours(0, 0, 0, 0);
+
+        // Weeks start on Monday
+        const weekStart = new Date(today);
+        weekStart.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+        const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+
+        const todayKey = EnergyTracker.dayKey(today.getTime());
+        const weekKey = EnergyTracker.dayKey(weekStart.getTime());
+        const monthKey = EnergyTracker.dayKey(monthStart.getTime());
+        const fromKey = weekKey < monthKey ? weekKey : monthKey;
+
+        const emptyTotals = () => ({ today: 0, week: 0, month: 0, lifetime: 0 });
+        const totals = { array: emptyTotals(), inverters: {} };
+        const inverterTotals = (serial) => {
+            if (!totals.inverters[serial]) {
+                totals.inverters[serial] = emptyTotals();
+            }
+            return totals.inverters[serial];
+        };
+
+        const entries = await this.historyStore.getDailyEnergy(fromKey, todayKey);
+        entries.forEach(entry => {
+            const inverter = inverterTotals(entry.serial);
+            if (entry.day === todayKey) {
+                inverter.today += entry.kwh;
+                totals.array.today += entry.kwh;
+            }
+            if (entry.day >= weekKey) {
+                inverter.week += entry.kwh;
+                totals.array.week += entry.kwh;
+            }
+            if (entry.day >= monthKey) {
+                inverter.month += entry.kwh;
+                totals.array.month += entry.kwh;
+            }
+        });
+
+        // Lifetime is the running total, so a counter reset doesn't take it back to zero. Replaced
+        // inverters keep their last total, so their production still counts towards the array lifetime.
+        Object.values(counters).forEach(counter => {
+            const lifetime = isFinite(counter.lifetime) ? counter.lifetime : counter.kwh;
+            inverterTotals(counter.serial).lifetime = lifetime;
+            totals.array.lifetime += lifetime;
+        });
+
+        return totals;
+    }
+}
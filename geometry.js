@@ -0,0 +1,141 @@
+// Oriented-rectangle geometry for panels, in layout units.
+//
+// A panel's x, y, width and height describe its rectangle before rotation; it's drawn turned
+// about its centre by the part of planeRotation that isn't a whole quarter turn. Quarter turns
+// are taken up by swapping width and height instead: a landscape panel at 90° is stored as a wide
+// rectangle with no drawn rotation, and one at 100° as the same wide rectangle turned 10°.
+// Angles are degrees clockwise on screen, where y points down.
+class Geometry {
+    // The drawn rotation: planeRotation less any whole quarter turns, in [0, 90)
+    static residualRotation(panel) {
+        const rotation = panel.planeRotation || 0;
+        return ((rotation % 90) + 90) % 90;
+    }
+
+    // Whether planeRotation puts the panel's long side across (90–180° and 270–360°)
+    static isQuarterTurned(rotation) {
+        return Math.floor((((rotation || 0) % 360) + 360) % 360 / 90) % 2 === 1;
+    }
+
+    static center(panel) {
+        return { x: panel.x + panel.width / 2, y: panel.y + panel.height / 2 };
+    }
+
+    // Rotate a point clockwise about a centre
+    static rotatePoint(point, center, degrees) {
+        const rad = degrees * Math.PI / 180;
+        const cos = Math.cos(rad);
+        const sin = Math.sin(rad);
+        const dx = point.x - center.x;
+        const dy = point.y - center.y;
+        return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+    }
+
+    // Corners of the drawn rectangle, clockwise from the top left
+    static corners(panel) {
+        const center = Geometry.center(panel);
+        const angle = Geometry.residualRotation(panel);
+        const corners = [
+            { x: panel.x, y: panel.y },
+            { x: panel.x + panel.width, y: panel.y },
+            { x: panel.x + panel.width, y: panel.y + panel.height },
+            { x: panel.x, y: panel.y + panel.height }
+        ];
+        return angle === 0 ? corners : corners.map(corner => Geometry.rotatePoint(corner, center, angle));
+    }
+
+    // Axis-aligned box around the drawn rectangles of some panels, or null for none
+    static bounds(panels) {
+        if (panels.length === 0) {
+            return null;
+        }
+        const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        panels.forEach(panel => {
+            Geometry.corners(panel).forEach(corner => {
+                bounds.minX = Math.min(bounds.minX, corner.x);
+                bounds.minY = Math.min(bounds.minY, corner.y);
+                bounds.maxX = Math.max(bounds.maxX, corner.x);
+                bounds.maxY = Math.max(bounds.maxY, corner.y);
+            });
+        });
+        return bounds;
+    }
+
+    // Ray casting: count the polygon edges crossed by a ray from the point to the right
+    static pointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    static containsPoint(panel, x, y) {
+        return Geometry.pointInPolygon({ x: x, y: y }, Geometry.corners(panel));
+    }
+
+    // Separating axis test for two convex polygons. Returns null when they don't overlap (edges
+    // touching doesn't count), otherwise the shortest push { x, y, depth } that moves b clear of a.
+    static separation(polygonA, polygonB) {
+        let smallest = null;
+        const axes = [polygonA, polygonB].reduce((list, polygon) => {
+            polygon.forEach((point, index) => {
+                const next = polygon[(index + 1) % polygon.length];
+                const length = Math.hypot(next.x - point.x, next.y - point.y);
+                if (length > 0) {
+                    list.push({ x: -(next.y - point.y) / length, y: (next.x - point.x) / length });
+                }
+            });
+            return list;
+        }, []);
+
+        for (const axis of axes) {
+            const project = (polygon) => {
+                const values = polygon.map(point => point.x * axis.x + point.y * axis.y);
+                return { min: Math.min(...values), max: Math.max(...values) };
+            };
+            const a = project(polygonA);
+            const b = project(polygonB);
+            const overlap = Math.min(a.max - b.min, b.max - a.min);
+            if (overlap <= 1e-9) {
+                return null;
+            }
+            if (!smallest || overlap < smallest.depth) {
+                // Push b towards whichever side of a it's already nearer
+                const direction = (b.min + b.max) / 2 >= (a.min + a.max) / 2 ? 1 : -1;
+                smallest = { depth: overlap, axis: { x: axis.x * direction, y: axis.y * direction } };
+            }
+        }
+        return { x: smallest.axis.x * smallest.depth, y: smallest.axis.y * smallest.depth, depth: smallest.depth };
+    }
+
+    static panelsOverlap(a, b) {
+        return Geometry.separation(Geometry.corners(a), Geometry.corners(b)) !== null;
+    }
+
+    // Bearing of a point from a centre: 0° straight up, clockwise
+    static angleFrom(center, point) {
+        const degrees = Math.atan2(point.x - center.x, -(point.y - center.y)) * 180 / Math.PI;
+        return (degrees + 360) % 360;
+    }
+
+    // Set a panel's planeRotation, swapping width and height when the change crosses a quarter
+    // turn so the panel keeps its size and its centre stays put
+    static setRotation(panel, rotation) {
+        const normalized = ((rotation % 360) + 360) % 360;
+        if (Geometry.isQuarterTurned(normalized) !== Geometry.isQuarterTurned(panel.planeRotation)) {
+            const center = Geometry.center(panel);
+            const width = panel.width;
+            panel.width = panel.height;
+            panel.height = width;
+            panel.x = center.x - panel.width / 2;
+            panel.y = center.y - panel.height / 2;
+        }
+        panel.planeRotation = normalized;
+    }
+}
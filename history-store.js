@@ -0,0 +1,203 @@
+// Stores every power poll in IndexedDB so panel behaviour can be reviewed over time.
+// Readings are keyed by inverter serial and timestamp: { serial, timestamp, power }
+// Energy is kept separately: the last lifetime counter seen per inverter ('counters')
+// and the energy produced per inverter per day ('dailyEnergy').
+class PowerHistoryStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'SolarPaneler';
+        this.dbVersion = 2;
+        this.retentionDays = options.retentionDays || 30;
+        this.db = null;
+        this.lastPrune = 0;
+        this.pruneIntervalMs = 60 * 60 * 1000; // Prune at most once an hour
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) {
+            return this.db;
+        }
+        if (!this.isSupported()) {
+            throw new Error('IndexedDB is not available in this browser');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains('readings')) {
+                    const readings = db.createObjectStore('readings', { keyPath: ['serial', 'timestamp'] });
+                    readings.createIndex('timestamp', 'timestamp');
+                }
+                if (!db.objectStoreNames.contains('counters')) {
+                    db.createObjectStore('counters', { keyPath: 'serial' });
+                }
+                if (!db.objectStoreNames.contains('dailyEnergy')) {
+                    const dailyEnergy = db.createObjectStore('dailyEnergy', { keyPath: ['serial', 'day'] });
+                    dailyEnergy.createIndex('day', 'day');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        console.log(`History store opened (retention: ${this.retentionDays} days)`);
+        return this.db;
+    }
+
+    // Wrap an IDBRequest in a promise
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+
+    // Resolve once a transaction has committed
+    transactionDone(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Save one poll: readings is an array of { serial, power }
+    async addReadings(timestamp, readings) {
+        const db = await this.open();
+        const transaction = db.transaction('readings', 'readwrite');
+        const store = transaction.objectStore('readings');
+
+        readings.forEach(reading => {
+            store.put({
+                serial: reading.serial,
+                timestamp: timestamp,
+                power: reading.power
+            });
+        });
+
+        await this.transactionDone(transaction);
+
+        if (Date.now() - this.lastPrune > this.pruneIntervalMs) {
+            await this.prune();
+        }
+    }
+
+    // Readings for a single inverter between since and until (inclusive), oldest first
+    async getPanelHistory(serial, since, until = Date.now()) {
+        const db = await this.open();
+        const store = db.transaction('readings', 'readonly').objectStore('readings');
+        const range = IDBKeyRange.bound([serial, since], [serial, until]);
+        return this.request(store.getAll(range));
+    }
+
+    // All readings between since and until, oldest first
+    async getReadings(since, until = Date.now()) {
+        const db = await this.open();
+        const index = db.transaction('readings', 'readonly').objectStore('readings').index('timestamp');
+        return this.request(index.getAll(IDBKeyRange.bound(since, until)));
+    }
+
+    // Whole-array production: the sum of all inverters for each poll, oldest first
+    async getArrayHistory(since, until = Date.now()) {
+        const readings = await this.getReadings(since, until);
+        const totals = new Map();
+
+        readings.forEach(reading => {
+            totals.set(reading.timestamp, (totals.get(reading.timestamp) || 0) + reading.power);
+        });
+
+        return Array.from(totals.entries())
+            .map(([timestamp, power]) => ({ timestamp, power }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // Last lifetime counter seen for every inverter: [{ serial, kwh, timestamp, lifetime }]
+    async getCounters() {
+        const db = await this.open();
+        const store = db.transaction('counters', 'readonly').objectStore('counters');
+        return this.request(store.getAll());
+    }
+
+    // Save new counter baselines and add energy to each inverter's daily total in one transaction
+    // counters: [{ serial, kwh, timestamp, lifetime }], energy: [{ serial, day, kwh }]
+    async saveEnergy(counters, energy) {
+        const db = await this.open();
+        const transaction = db.transaction(['counters', 'dailyEnergy'], 'readwrite');
+        const counterStore = transaction.objectStore('counters');
+        const dailyStore = transaction.objectStore('dailyEnergy');
+
+        counters.forEach(counter => counterStore.put(counter));
+
+        energy.forEach(entry => {
+            const getRequest = dailyStore.get([entry.serial, entry.day]);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result;
+                dailyStore.put({
+                    serial: entry.serial,
+                    day: entry.day,
+                    kwh: (existing ? existing.kwh : 0) + entry.kwh
+                });
+            };
+        });
+
+        await this.transactionDone(transaction);
+    }
+
+    // Daily energy entries between two 'YYYY-MM-DD' day keys (inclusive)
+    async getDailyEnergy(fromDay, toDay) {
+        const db = await this.open();
+        const index = db.transaction('dailyEnergy', 'readonly').objectStore('dailyEnergy').index('day');
+        return this.request(index.getAll(IDBKeyRange.bound(fromDay, toDay)));
+    }
+
+    // Delete every record in an index below the cutoff key
+    deleteBefore(transaction, storeName, indexName, cutoff) {
+        let deleted = 0;
+        const index = transaction.objectStore(storeName).index(indexName);
+
+        index.openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            }
+        };
+
+        return () => deleted;
+    }
+
+    // Delete readings older than the retention period. Daily energy totals are tiny,
+    // so they are kept for at least a year to allow monthly reporting.
+    async prune() {
+        const db = await this.open();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const cutoff = Date.now() - this.retentionDays * dayMs;
+        const energyCutoff = EnergyTracker.dayKey(Date.now() - Math.max(this.retentionDays, 366) * dayMs);
+        const transaction = db.transaction(['readings', 'dailyEnergy'], 'readwrite');
+        const readingsDeleted = this.deleteBefore(transaction, 'readings', 'timestamp', cutoff);
+        this.deleteBefore(transaction, 'dailyEnergy', 'day', energyCutoff);
+
+        await this.transactionDone(transaction);
+        const deleted = readingsDeleted();
+        this.lastPrune = Date.now();
+
+        if (deleted > 0) {
+            console.log(`Pruned ${deleted} history readings older than ${this.retentionDays} days`);
+        }
+    }
+
+    async clear() {
+        const db = await this.open();
+        const transaction = db.transaction(['readings', 'counters', 'dailyEnergy'], 'readwrite');
+        transaction.objectStore('readings').clear();
+        transaction.objectStore('counters').clear();
+        transaction.objectStore('dailyEnergy').clear();
+        await this.transactionDone(transaction);
+    }
+}
@@ -0,0 +1,80 @@
+// Reconciles the layout with the inverters reported by the data source:
+// - unmatchedPanels: layout panels whose serial has no inverter in DeviceList
+// - unplacedInverters: inverter serials that no layout panel refers to
+// - duplicates: serials used by more than one panel, or reported more than once in DeviceList
+// Serials are compared case-insensitively, like the power data lookup.
+class InventoryCheck {
+    // The keys a panel can be matched to power data by
+    static panelKeys(panel) {
+        return [panel.inverterSerialNumber, panel.serialNumber, panel.id]
+            .filter(key => key)
+            .map(key => String(key).toUpperCase());
+    }
+
+    // A panel's entry in an object keyed by upper-case serial (power data, energy totals,
+    // history), trying each of its identifiers; null when it has none
+    static lookup(panel, byKey) {
+        const key = InventoryCheck.panelKeys(panel).find(candidate => byKey[candidate]);
+        return key ? byKey[key] : null;
+    }
+
+    static reconcile(panels, inverterSerials) {
+        const inverterKeys = new Set(inverterSerials.map(serial => serial.toUpperCase()));
+        const placed = new Set();
+        const unmatchedPanels = [];
+        const panelsBySerial = new Map();
+
+        panels.forEach(panel => {
+            const match = InventoryCheck.panelKeys(panel).find(key => inverterKeys.has(key));
+            if (match) {
+                placed.add(match);
+            } else {
+                unmatchedPanels.push(panel);
+            }
+
+            const serial = panel.inverterSerialNumber || panel.serialNumber;
+            if (serial) {
+                const key = String(serial).toUpperCase();
+                if (!panelsBySerial.has(key)) {
+                    panelsBySerial.set(key, { serial: serial, panelIds: [] });
+                }
+                panelsBySerial.get(key).panelIds.push(panel.id);
+            }
+        });
+
+        // Report each inverter once, in DeviceList order
+        const unplacedInverters = [];
+        const reported = new Map();
+        inverterSerials.forEach(serial => {
+            const key = serial.toUpperCase();
+            reported.set(key, (reported.get(key) || 0) + 1);
+            if (!placed.has(key) && reported.get(key) === 1) {
+                unplacedInverters.push(serial);
+            }
+        });
+
+        const duplicates = [];
+        panelsBySerial.forEach(entry => {
+            if (entry.panelIds.length > 1) {
+                duplicates.push({ serial: entry.serial, source: 'layout', count: entry.panelIds.length, panelIds: entry.panelIds });
+            }
+        });
+        reported.forEach((count, key) => {
+            if (count > 1) {
+                duplicates.push({ serial: key, source: 'inverters', count: count, panelIds: [] });
+            }
+        });
+
+        return {
+            unmatchedPanels: unmatchedPanels,
+            unplacedInverters: unplacedInverters,
+            duplicates: duplicates
+        };
+    }
+
+    static isClean(report) {
+        return report.unmatchedPanels.length === 0 &&
+               report.unplacedInverters.length === 0 &&
+               report.duplicates.length === 0;
+    }
+}
@@ -0,0 +1,152 @@
+// Layout recovery for layouts whose coordinates are slightly inconsistent, as PV6 layouts often
+// are: panels in one row reported a few centimetres apart vertically, or closer together than
+// they can physically be. Instead of pushing overlapping pairs apart (which scrambles rows), it
+// finds the rows and columns of each roof plane and lines the panels up on them, keeping their
+// order. Nothing is changed in place; normalize() returns moved copies for the app to preview.
+//
+// A roof plane is a connected patch of panels at the same drawn angle (and in the same group,
+// where panels have one). Rows and columns are found in the plane's own frame, so a tilted
+// array is lined up along its tilt.
+class LayoutNormalizer {
+    // { panels, planes, rows, columns, moved, maxShift }: the lined-up copies, what was found, and
+    // how many panels moved further than minShift (in layout units), the largest move included.
+    // options.gap is the least space left between neighbouring panels.
+    static normalize(panels, options = {}) {
+        const gap = options.gap || 0;
+        const minShift = options.minShift || 0;
+        const result = { panels: panels.map(panel => ({ ...panel })), planes: 0, rows: 0, columns: 0, moved: 0, maxShift: 0 };
+
+        LayoutNormalizer.getPlanes(result.panels).forEach(plane => {
+            const found = LayoutNormalizer.normalizePlane(plane, gap);
+            result.planes++;
+            result.rows += found.rows;
+            result.columns += found.columns;
+        });
+
+        result.panels.forEach((panel, index) => {
+            const shift = Math.hypot(panel.x - panels[index].x, panel.y - panels[index].y);
+            if (shift > minShift) {
+                result.moved++;
+            }
+            result.maxShift = Math.max(result.maxShift, shift);
+        });
+        return result;
+    }
+
+    // Panels split into roof planes: panels at the same drawn angle and in the same group whose
+    // outlines come within half a panel of each other, directly or through their neighbours
+    static getPlanes(panels) {
+        const keys = panels.map(panel => `${panel.groupId || ''}|${Geometry.residualRotation(panel)}`);
+        const boxes = panels.map(panel => {
+            const bounds = Geometry.bounds([panel]);
+            const margin = Math.min(panel.width, panel.height) / 2;
+            return {
+                minX: bounds.minX - margin,
+                minY: bounds.minY - margin,
+                maxX: bounds.maxX + margin,
+                maxY: bounds.maxY + margin
+            };
+        });
+
+        // Union-find over pairs of nearby panels
+        const parents = panels.map((panel, index) => index);
+        const find = (index) => {
+            while (parents[index] !== index) {
+                parents[index] = parents[parents[index]];
+                index = parents[index];
+            }
+            return index;
+        };
+        for (let i = 0; i < panels.length; i++) {
+            for (let j = i + 1; j < panels.length; j++) {
+                const a = boxes[i];
+                const b = boxes[j];
+                if (keys[i] === keys[j] && a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY) {
+                    parents[find(i)] = find(j);
+                }
+            }
+        }
+
+        const planes = new Map();
+        panels.forEach((panel, index) => {
+            const root = find(index);
+            if (!planes.has(root)) {
+                planes.set(root, []);
+            }
+            planes.get(root).push(panel);
+        });
+        return [...planes.values()];
+    }
+
+    // Line up one plane's panels in place; returns { rows, columns }
+    static normalizePlane(panels, gap) {
+        // Work on panel centres in the plane's frame, where its rows run left to right
+        const angle = Geometry.residualRotation(panels[0]);
+        const origin = { x: 0, y: 0 };
+        const items = panels.map(panel => {
+            const center = Geometry.rotatePoint(Geometry.center(panel), origin, -angle);
+            return { panel: panel, x: center.x, y: center.y };
+        });
+
+        // Rows: centres within half the shortest panel height of the row's first panel
+        const minHeight = Math.min(...panels.map(panel => panel.height));
+        const rows = LayoutNormalizer.cluster(items, item => item.y, minHeight / 2);
+        let previous = null;
+        rows.forEach(row => {
+            const halfHeight = Math.max(...row.map(item => item.panel.height)) / 2;
+            let y = row.reduce((sum, item) => sum + item.y, 0) / row.length;
+            // Keep the rows in order and clear of each other
+            if (previous) {
+                y = Math.max(y, previous.y + previous.halfHeight + halfHeight + gap);
+            }
+            row.forEach(item => {
+                item.y = y;
+            });
+            previous = { y: y, halfHeight: halfHeight };
+        });
+
+        // Columns the same way, then each row is walked left to right so neighbours keep
+        // their order and don't overlap
+        const minWidth = Math.min(...panels.map(panel => panel.width));
+        const columns = LayoutNormalizer.cluster(items, item => item.x, minWidth / 2);
+        const columnX = new Map();
+        columns.forEach(column => {
+            const x = column.reduce((sum, item) => sum + item.x, 0) / column.length;
+            column.forEach(item => columnX.set(item, x));
+        });
+        rows.forEach(row => {
+            let left = null;
+            row.sort((a, b) => a.x - b.x).forEach(item => {
+                const halfWidth = item.panel.width / 2;
+                let x = columnX.get(item);
+                if (left) {
+                    x = Math.max(x, left.x + left.halfWidth + halfWidth + gap);
+                }
+                item.x = x;
+                left = { x: x, halfWidth: halfWidth };
+            });
+        });
+
+        items.forEach(item => {
+            const center = Geometry.rotatePoint({ x: item.x, y: item.y }, origin, angle);
+            item.panel.x = center.x - item.panel.width / 2;
+            item.panel.y = center.y - item.panel.height / 2;
+        });
+        return { rows: rows.length, columns: columns.length };
+    }
+
+    // Sort items by value and split them where a value is more than tolerance past the first
+    // value of the current cluster
+    static cluster(items, value, tolerance) {
+        const clusters = [];
+        let start = null;
+        [...items].sort((a, b) => value(a) - value(b)).forEach(item => {
+            if (start === null || value(item) - start > tolerance) {
+                clusters.push([]);
+                start = value(item);
+            }
+            clusters[clusters.length - 1].push(item);
+        });
+        return clusters;
+    }
+}
@@ -0,0 +1,161 @@
+// Named layout versions kept in localStorage, e.g. "as-installed" and "as-drawn".
+// Each version is an exported layout { units, panels: [...], groups: [...] } plus the time it was saved.
+// The active version is the one restored on load and autosaved after edits.
+class LayoutStore {
+    constructor(storageKey = 'solarPaneler.layouts', storage = window.localStorage) {
+        this.storageKey = storageKey;
+        this.storage = storage;
+    }
+
+    read() {
+        const raw = this.storage.getItem(this.storageKey);
+        const data = raw ? JSON.parse(raw) : {};
+        return {
+            active: data.active || 'Default',
+            versions: data.versions || {},
+            lineUpDeclined: data.lineUpDeclined || null
+        };
+    }
+
+    write(data) {
+        this.storage.setItem(this.storageKey, JSON.stringify(data));
+    }
+
+    getActiveName() {
+        return this.read().active;
+    }
+
+    setActive(name) {
+        const data = this.read();
+        data.active = name;
+        this.write(data);
+    }
+
+    listVersions() {
+        return Object.keys(this.read().versions).sort((a, b) => a.localeCompare(b));
+    }
+
+    // The saved layout for a version (the active one by default), or null
+    load(name = null) {
+        const data = this.read();
+        return data.versions[name || data.active] || null;
+    }
+
+    save(layout, name = null) {
+        const data = this.read();
+        data.versions[name || data.active] = { ...layout, savedAt: new Date().toISOString() };
+        this.write(data);
+    }
+
+    remove(name) {
+        const data = this.read();
+        delete data.versions[name];
+        if (data.active === name) {
+            data.active = Object.keys(data.versions)[0] || 'Default';
+        }
+        this.write(data);
+        return data.active;
+    }
+
+    // The data source layout whose line-up was turned down (by fingerprint), so it isn't offered
+    // again until the source reports a different layout
+    declineLineUp(fingerprint) {
+        const data = this.read();
+        data.lineUpDeclined = fingerprint;
+        this.write(data);
+    }
+
+    isLineUpDeclined(fingerprint) {
+        return this.read().lineUpDeclined === fingerprint;
+    }
+
+    // Short fingerprint of where a layout's panels are, to recognise the same layout later
+    static fingerprint(panels) {
+        const text = JSON.stringify(panels.map(panel => [panel.id, panel.x, panel.y, panel.planeRotation]));
+        let hash = 0;
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) | 0;
+        }
+        return `${panels.length}:${(hash >>> 0).toString(16)}`;
+    }
+
+    // Parse and validate an imported layout. Accepts the JSON written by Export Layout, with or
+    // without its "localLayout:" prefix, and the older plain-array format.
+    // Returns the layout in a form parseLocalLayout() understands, or throws with the problems found.
+    static parseImport(text) {
+        const json = text.trim()
+            .replace(/^localLayout\s*:\s*/, '')
+            .replace(/,\s*$/, '');
+
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        const legacy = Array.isArray(data);
+        const panels = legacy ? data : (data && data.panels);
+        if (!Array.isArray(panels) || panels.length === 0) {
+            throw new Error('No panels found (expected { units, panels: [...] } or an array of panels)');
+        }
+
+        const units = legacy ? null : (data.units || 'm');
+        const errors = [];
+        if (units !== null && units !== 'm' && units !== 'in') {
+            errors.push(`Unknown units "${units}" (expected "m" or "in")`);
+        }
+
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+        const seen = new Set();
+        panels.forEach((panel, index) => {
+            const name = `Panel ${index + 1}`;
+            if (!panel || typeof panel !== 'object') {
+                errors.push(`${name} is not an object`);
+                return;
+            }
+            const id = panel.id || panel.inverterSerialNumber;
+            if (!id) {
+                errors.push(`${name} has no id or inverterSerialNumber`);
+            } else if (seen.has(id)) {
+                errors.push(`${name} repeats id ${id}`);
+            } else {
+                seen.add(id);
+            }
+            if (!isNumber(panel.x) || !isNumber(panel.y)) {
+                errors.push(`${name} needs numeric x and y`);
+            }
+            ['width', 'height', 'ratedWatts', 'inverterRatedWatts'].forEach(key => {
+                if (panel[key] !== undefined && !(isNumber(panel[key]) && panel[key] > 0)) {
+                    errors.push(`${name} has an invalid ${key}`);
+                }
+            });
+        });
+
+        const groups = legacy ? [] : (data.groups || []);
+        if (!Array.isArray(groups)) {
+            errors.push('groups must be an array');
+        } else {
+            groups.forEach((group, index) => {
+                const name = `Group ${index + 1}`;
+                if (!group || !group.id || !group.name) {
+                    errors.push(`${name} needs an id and a name`);
+                    return;
+                }
+                if (group.tilt !== undefined && !(isNumber(group.tilt) && group.tilt >= 0 && group.tilt <= 90)) {
+                    errors.push(`${name} has an invalid tilt`);
+                }
+                if (group.azimuth !== undefined && !(isNumber(group.azimuth) && group.azimuth >= 0 && group.azimuth < 360)) {
+                    errors.push(`${name} has an invalid azimuth`);
+                }
+            });
+        }
+
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(errors.slice(0, 5).join('; ') + more);
+        }
+
+        return legacy ? panels : { units: units, panels: panels, groups: groups };
+    }
+}
@@ -0,0 +1,88 @@
+// Arrangement helpers for Edit placement mode. Each function moves the given panels in place
+// (positions are top-left corners in layout units) and leaves the rest of the layout alone.
+// Edges and extents are those of the panels as drawn, rotation included (see geometry.js).
+class LayoutTools {
+    static getBounds(panels) {
+        return Geometry.bounds(panels);
+    }
+
+    static snap(value, spacing) {
+        return spacing > 0 ? Math.round(value / spacing) * spacing : value;
+    }
+
+    static alignLeft(panels) {
+        if (panels.length === 0) {
+            return;
+        }
+        const left = LayoutTools.getBounds(panels).minX;
+        panels.forEach(panel => {
+            panel.x += left - Geometry.bounds([panel]).minX;
+        });
+    }
+
+    static alignTop(panels) {
+        if (panels.length === 0) {
+            return;
+        }
+        const top = LayoutTools.getBounds(panels).minY;
+        panels.forEach(panel => {
+            panel.y += top - Geometry.bounds([panel]).minY;
+        });
+    }
+
+    // Keep the outermost panels where they are and make the gaps between neighbours equal.
+    // axis is 'x' (left to right) or 'y' (top to bottom).
+    static distribute(panels, axis) {
+        if (panels.length < 3) {
+            return;
+        }
+        const min = axis === 'x' ? 'minX' : 'minY';
+        const max = axis === 'x' ? 'maxX' : 'maxY';
+        const extents = new Map(panels.map(panel => [panel, Geometry.bounds([panel])]));
+        const sorted = [...panels].sort((a, b) => extents.get(a)[min] - extents.get(b)[min]);
+        const first = extents.get(sorted[0]);
+        const last = extents.get(sorted[sorted.length - 1]);
+        const span = last[max] - first[min];
+        const occupied = sorted.reduce((sum, panel) => sum + extents.get(panel)[max] - extents.get(panel)[min], 0);
+        const gap = (span - occupied) / (sorted.length - 1);
+
+        let position = first[min];
+        sorted.forEach(panel => {
+            const extent = extents.get(panel);
+            panel[axis] += position - extent[min];
+            position += extent[max] - extent[min] + gap;
+        });
+    }
+
+    // Turn the panels a quarter turn clockwise about the centre of their bounding box
+    static rotateQuarter(panels) {
+        if (panels.length === 0) {
+            return;
+        }
+        const bounds = LayoutTools.getBounds(panels);
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+
+        panels.forEach(panel => {
+            const panelCenterX = panel.x + panel.width / 2;
+            const panelCenterY = panel.y + panel.height / 2;
+            // Clockwise on screen, where y points down
+            const rotatedX = centerX - (panelCenterY - centerY);
+            const rotatedY = centerY + (panelCenterX - centerX);
+
+            const width = panel.width;
+            panel.width = panel.height;
+            panel.height = width;
+            panel.x = rotatedX - panel.width / 2;
+            panel.y = rotatedY - panel.height / 2;
+            panel.planeRotation = ((panel.planeRotation || 0) + 90) % 360;
+        });
+    }
+
+    static moveBy(panels, dx, dy) {
+        panels.forEach(panel => {
+            panel.x += dx;
+            panel.y += dy;
+        });
+    }
+}
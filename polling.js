@@ -0,0 +1,137 @@
+// Runs the power poll on its refresh interval, one poll at a time. Each poll is handed an
+// AbortSignal that fires after timeoutMs, so a hung request is cancelled instead of piling up
+// behind the next one. A failed poll is retried sooner, with exponential backoff and jitter,
+// until one succeeds; then the normal interval resumes. While the page is hidden nothing is
+// polled, and a poll that fell due in the meantime runs as soon as the page is shown again.
+class PollScheduler {
+    // task(signal) does one poll and throws (or rejects) when it failed
+    constructor(task, options = {}) {
+        this.task = task;
+        this.intervalMs = options.intervalMs || 5 * 60 * 1000;
+        this.timeoutMs = options.timeoutMs || 30000;
+        this.retryDelayMs = options.retryDelayMs || 15000;         // first retry; doubles after each failure
+        this.maxRetryDelayMs = options.maxRetryDelayMs || 30 * 60 * 1000;
+        this.pauseWhenHidden = options.pauseWhenHidden !== false && typeof document !== 'undefined';
+        this.onChange = options.onChange || null;                   // called with the scheduler after every change
+        this.running = false;
+        this.paused = false;
+        this.current = null;     // promise of the poll in flight
+        this.controller = null;  // aborts the poll in flight
+        this.timer = null;
+        this.delayMs = this.intervalMs; // wait after the last attempt, jitter included
+        this.failures = 0;       // consecutive failed polls
+        this.lastError = null;
+        this.lastAttempt = null;
+        this.lastSuccess = null;
+        this.nextPollAt = null;
+        this.handleVisibility = () => this.setPaused(document.hidden);
+    }
+
+    // Poll straight away and keep polling. Resolves when the first poll is done.
+    start() {
+        this.running = true;
+        if (this.pauseWhenHidden) {
+            document.addEventListener('visibilitychange', this.handleVisibility);
+            this.paused = document.hidden;
+        }
+        return this.paused ? Promise.resolve() : this.pollNow();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextPollAt = null;
+        if (this.pauseWhenHidden) {
+            document.removeEventListener('visibilitychange', this.handleVisibility);
+        }
+        if (this.controller) {
+            this.controller.abort(new Error('Polling stopped'));
+        }
+    }
+
+    // Poll now unless a poll is already running, in which case that one's promise is returned.
+    // Never rejects; failures end up in lastError.
+    pollNow() {
+        if (!this.current) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.nextPollAt = null;
+            this.current = this.run().then(() => {
+                this.current = null;
+                this.schedule();
+            });
+            this.notify();
+        }
+        return this.current;
+    }
+
+    async run() {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(new Error(`No response after ${this.timeoutMs / 1000} s`)), this.timeoutMs);
+        this.controller = controller;
+        this.lastAttempt = Date.now();
+        try {
+            await this.task(controller.signal);
+            this.failures = 0;
+            this.lastError = null;
+            this.lastSuccess = Date.now();
+            this.delayMs = this.intervalMs;
+        } catch (error) {
+            this.failures++;
+            // Browsers without abort reasons reject with a bare AbortError
+            this.lastError = controller.signal.aborted && controller.signal.reason instanceof Error ? controller.signal.reason : error;
+            this.delayMs = this.getRetryDelay();
+        } finally {
+            clearTimeout(timeout);
+            this.controller = null;
+        }
+    }
+
+    // Exponential backoff with "equal jitter": between half and all of the doubled delay, so
+    // several tabs watching the same PVS don't retry in step
+    getRetryDelay() {
+        const delay = Math.min(this.maxRetryDelayMs, this.retryDelayMs * Math.pow(2, this.failures - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.nextPollAt = null;
+        if (this.running && !this.paused && !this.current) {
+            this.nextPollAt = (this.lastAttempt || Date.now()) + this.delayMs;
+            this.timer = setTimeout(() => this.pollNow(), Math.max(0, this.nextPollAt - Date.now()));
+        }
+        this.notify();
+    }
+
+    setIntervalMs(intervalMs) {
+        this.intervalMs = intervalMs;
+        // A poll in flight schedules the next one itself when it's done
+        if (!this.current) {
+            if (this.failures === 0) {
+                this.delayMs = intervalMs;
+            }
+            this.schedule();
+        }
+    }
+
+    setPaused(paused) {
+        if (paused === this.paused) {
+            return;
+        }
+        this.paused = paused;
+        console.log(paused ? 'Page hidden, polling paused' : 'Page visible, polling resumed');
+        // A poll in flight finishes and schedules the next one itself
+        if (!this.current) {
+            this.schedule();
+        }
+    }
+
+    notify() {
+        if (this.onChange) {
+            this.onChange(this);
+        }
+    }
+}
@@ -0,0 +1,296 @@
+// Publishes each live poll to home automation: a JSON POST to a webhook and/or MQTT over
+// WebSockets, with Home Assistant discovery so the sensors appear without any YAML.
+// The payload (built by the app) is:
+//   { timestamp, site: { production_w, ... }, panels: [{ serial, power_w, ... }] }
+// Publishing failures are logged and never interrupt polling.
+class Publisher {
+    constructor(options = {}) {
+        this.targets = [];
+        if (options.webhook && options.webhook.url) {
+            this.targets.push(new WebhookTarget(options.webhook));
+        }
+        if (options.mqtt && options.mqtt.url) {
+            this.targets.push(new MqttTarget(options.mqtt));
+        }
+    }
+
+    get enabled() {
+        return this.targets.length > 0;
+    }
+
+    async publish(payload) {
+        await Promise.all(this.targets.map(async target => {
+            try {
+                await target.publish(payload);
+                target.lastError = null;
+            } catch (error) {
+                target.lastError = error.message;
+                console.warn(`Publishing to ${target.name} failed:`, error);
+            }
+        }));
+    }
+}
+
+// POSTs the payload as JSON. The endpoint must allow cross-origin requests from the page.
+class WebhookTarget {
+    constructor(options) {
+        this.name = 'webhook';
+        this.url = options.url;
+        this.headers = options.headers || {};
+        this.timeoutMs = options.timeoutMs || 10000;
+        this.lastError = null;
+    }
+
+    async publish(payload) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+        try {
+            const response = await fetch(this.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.headers },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+// Topics, under topicPrefix (default 'solarpaneler'):
+//   <prefix>/status                 'online' / 'offline' (last will), retained
+//   <prefix>/site/state             site JSON
+//   <prefix>/panel/<serial>/state   one panel's JSON
+// Home Assistant discovery configs go to <discoveryPrefix>/sensor/<id>/config, once per
+// connection for each serial seen.
+class MqttTarget {
+    constructor(options) {
+        this.name = 'MQTT';
+        this.options = options;
+        this.topicPrefix = options.topicPrefix || 'solarpaneler';
+        this.discovery = options.discovery !== false;
+        this.discoveryPrefix = options.discoveryPrefix || 'homeassistant';
+        this.retain = options.retain !== false;
+        this.client = null;
+        this.announced = new Set(); // discovery already sent on this connection
+        this.lastError = null;
+    }
+
+    async publish(payload) {
+        if (!this.client || !this.client.connected) {
+            this.client = new MqttClient(this.options.url, {
+                clientId: this.options.clientId || `solarpaneler-${Math.random().toString(16).slice(2, 10)}`,
+                username: this.options.username,
+                password: this.options.password,
+                will: { topic: `${this.topicPrefix}/status`, payload: 'offline', retain: true }
+            });
+            this.announced.clear();
+            await this.client.connect();
+            this.client.publish(`${this.topicPrefix}/status`, 'online', true);
+        }
+
+        if (this.discovery) {
+            this.announce(payload);
+        }
+        this.client.publish(`${this.topicPrefix}/site/state`, JSON.stringify({ timestamp: payload.timestamp, ...payload.site }), this.retain);
+        payload.panels.forEach(panel => {
+            this.client.publish(`${this.topicPrefix}/panel/${this.topicSafe(panel.serial)}/state`,
+                JSON.stringify({ timestamp: payload.timestamp, ...panel }), this.retain);
+        });
+    }
+
+    topicSafe(value) {
+        return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+    }
+
+    // Home Assistant MQTT discovery: one sensor per reading, grouped into a device per inverter
+    announce(payload) {
+        const sensors = {
+            power_w: { name: 'Power', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+            energy_today_kwh: { name: 'Energy today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+            energy_lifetime_kwh: { name: 'Energy lifetime', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+            heatsink_c: { name: 'Heatsink temperature', unit: '°C', deviceClass: 'temperature', stateClass: 'measurement' }
+        };
+        const siteSensors = {
+            production_w: { name: 'Solar production', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+            consumption_w: { name: 'Home consumption', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+            grid_w: { name: 'Grid import', unit: 'W', deviceClass: 'power', stateClass: 'measurement' },
+            panels_producing: { name: 'Panels producing', unit: null, deviceClass: null, stateClass: 'measurement' },
+            energy_today_kwh: { name: 'Solar energy today', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' },
+            energy_lifetime_kwh: { name: 'Solar energy lifetime', unit: 'kWh', deviceClass: 'energy', stateClass: 'total_increasing' }
+        };
+        const siteDevice = { identifiers: [this.topicPrefix], name: 'Solar array', manufacturer: 'SolarPaneler' };
+
+        const sendConfigs = (key, stateTopic, device, list) => {
+            if (this.announced.has(key)) return;
+            this.announced.add(key);
+            Object.keys(list).forEach(field => {
+                const sensor = list[field];
+                const uniqueId = `${key}_${field}`;
+                const config = {
+                    name: sensor.name,
+                    unique_id: uniqueId,
+                    state_topic: stateTopic,
+                    value_template: `{{ value_json.${field} }}`,
+                    availability_topic: `${this.topicPrefix}/status`,
+                    device: device
+                };
+                if (sensor.unit) config.unit_of_measurement = sensor.unit;
+                if (sensor.deviceClass) config.device_class = sensor.deviceClass;
+                if (sensor.stateClass) config.state_class = sensor.stateClass;
+                this.client.publish(`${this.discoveryPrefix}/sensor/${uniqueId}/config`, JSON.stringify(config), true);
+            });
+        };
+
+        sendConfigs(this.topicPrefix, `${this.topicPrefix}/site/state`, siteDevice, siteSensors);
+        payload.panels.forEach(panel => {
+            const serial = this.topicSafe(panel.serial);
+            sendConfigs(`${this.topicPrefix}_${serial}`, `${this.topicPrefix}/panel/${serial}/state`, {
+                identifiers: [`${this.topicPrefix}_${serial}`],
+                name: `Panel ${panel.serial}`,
+                model: panel.model || undefined,
+                sw_version: panel.firmware || undefined,
+                via_device: this.topicPrefix
+            }, sensors);
+        });
+    }
+}
+
+// Just enough MQTT 3.1.1 over WebSockets to publish at QoS 0: CONNECT (with a last will),
+// PUBLISH, PINGREQ and DISCONNECT. The broker needs a WebSocket listener (e.g. Mosquitto's
+// "listener 9001" + "protocol websockets", or Home Assistant's add-on on port 1884).
+class MqttClient {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.options = options;
+        this.keepAliveSeconds = options.keepAliveSeconds || 60;
+        this.socket = null;
+        this.connected = false;
+        this.pingTimer = null;
+        this.buffer = new Uint8Array(0);
+    }
+
+    static encodeString(text) {
+        const bytes = new TextEncoder().encode(text);
+        return [bytes.length >> 8, bytes.length & 255, ...bytes];
+    }
+
+    static encodeLength(length) {
+        const bytes = [];
+        do {
+            let byte = length % 128;
+            length = Math.floor(length / 128);
+            if (length > 0) byte |= 128;
+            bytes.push(byte);
+        } while (length > 0);
+        return bytes;
+    }
+
+    static packet(type, body) {
+        return new Uint8Array([type, ...MqttClient.encodeLength(body.length), ...body]);
+    }
+
+    connect(timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const fail = (error) => {
+                clearTimeout(timer);
+                this.close();
+                reject(error);
+            };
+            const timer = setTimeout(() => fail(new Error(`No answer from MQTT broker at ${this.url}`)), timeoutMs);
+
+            this.socket = new WebSocket(this.url, ['mqtt']);
+            this.socket.binaryType = 'arraybuffer';
+            this.socket.onopen = () => this.socket.send(this.connectPacket());
+            this.socket.onerror = () => fail(new Error(`Could not connect to MQTT broker at ${this.url}`));
+            this.socket.onclose = () => fail(new Error('MQTT broker closed the connection'));
+            this.socket.onmessage = (event) => {
+                this.receive(new Uint8Array(event.data), (type, body) => {
+                    if (type !== 0x20) return; // only CONNACK (and PINGRESP, ignored) are expected
+                    clearTimeout(timer);
+                    if (body[1] !== 0) {
+                        fail(new Error(`MQTT broker refused the connection (code ${body[1]})`));
+                        return;
+                    }
+                    this.connected = true;
+                    this.pingTimer = setInterval(() => this.send(MqttClient.packet(0xC0, [])), this.keepAliveSeconds * 1000 / 2);
+                    resolve();
+                });
+            };
+        });
+    }
+
+    connectPacket() {
+        const options = this.options;
+        let flags = 0x02; // clean session
+        const payload = [...MqttClient.encodeString(options.clientId)];
+        if (options.will) {
+            flags |= 0x04 | (options.will.retain ? 0x20 : 0);
+            payload.push(...MqttClient.encodeString(options.will.topic), ...MqttClient.encodeString(options.will.payload));
+        }
+        if (options.username) {
+            flags |= 0x80;
+            payload.push(...MqttClient.encodeString(options.username));
+            if (options.password) {
+                flags |= 0x40;
+                payload.push(...MqttClient.encodeString(options.password));
+            }
+        }
+        const header = [...MqttClient.encodeString('MQTT'), 4, flags, this.keepAliveSeconds >> 8, this.keepAliveSeconds & 255];
+        return MqttClient.packet(0x10, [...header, ...payload]);
+    }
+
+    // Split incoming bytes into packets; a packet can arrive across several WebSocket messages
+    receive(bytes, onPacket) {
+        const joined = new Uint8Array(this.buffer.length + bytes.length);
+        joined.set(this.buffer);
+        joined.set(bytes, this.buffer.length);
+        this.buffer = joined;
+
+        while (this.buffer.length >= 2) {
+            let length = 0;
+            let multiplier = 1;
+            let index = 1;
+            let byte;
+            do {
+                if (index >= this.buffer.length) return;
+                byte = this.buffer[index++];
+                length += (byte & 127) * multiplier;
+                multiplier *= 128;
+            } while (byte & 128);
+            if (this.buffer.length < index + length) return;
+            onPacket(this.buffer[0] & 0xF0, this.buffer.slice(index, index + length));
+            this.buffer = this.buffer.slice(index + length);
+        }
+    }
+
+    send(packet) {
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.send(packet);
+        }
+    }
+
+    publish(topic, message, retain = false) {
+        if (!this.connected) {
+            throw new Error('Not connected to the MQTT broker');
+        }
+        const body = [...MqttClient.encodeString(topic), ...new TextEncoder().encode(message)];
+        this.send(MqttClient.packet(0x30 | (retain ? 0x01 : 0), body));
+    }
+
+    disconnect() {
+        this.send(MqttClient.packet(0xE0, []));
+        this.close();
+    }
+
+    close() {
+        this.connected = false;
+        clearInterval(this.pingTimer);
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this.socket.close();
+        }
+    }
+}
@@ -0,0 +1,96 @@
+// Plays recorded DeviceList polls back through the app at an adjustable speed.
+// The controller only keeps time; each frame is handed to onFrame(frame, index),
+// which runs it through the same processing as a live poll.
+class ReplayController {
+    constructor(onFrame) {
+        this.onFrame = onFrame;
+        this.frames = [];
+        this.index = 0;
+        this.playing = false;
+        this.speed = 60; // Recorded seconds per real second
+        this.timer = null;
+        this.minStepDelayMs = 50;    // Don't redraw faster than this
+        this.maxStepDelayMs = 2000;  // Skip over long gaps in the recording
+    }
+
+    // Parse a recording file with the same parsers as the replay data source
+    async loadFile(file) {
+        const text = await file.text();
+        const parser = new ReplayDataSource();
+        const frames = file.name.toLowerCase().endsWith('.csv') ? parser.parseCsv(text) : parser.parseJson(text);
+
+        if (frames.length === 0) {
+            throw new Error(`No timestamped polls found in ${file.name}`);
+        }
+
+        this.pause();
+        this.frames = frames;
+        this.index = 0;
+        console.log(`Loaded ${frames.length} recorded polls from ${file.name}`);
+        return frames;
+    }
+
+    get currentFrame() {
+        return this.frames[this.index] || null;
+    }
+
+    get isAtEnd() {
+        return this.index >= this.frames.length - 1;
+    }
+
+    async seek(index) {
+        if (this.frames.length === 0) {
+            return;
+        }
+        this.index = Math.max(0, Math.min(index, this.frames.length - 1));
+        await this.onFrame(this.frames[this.index], this.index);
+    }
+
+    async play() {
+        if (this.frames.length === 0 || this.playing) {
+            return;
+        }
+        this.playing = true;
+        // Start again from the beginning when play is pressed at the end, showing the first
+        // frame straight away
+        if (this.isAtEnd) {
+            await this.seek(0);
+        }
+        this.scheduleNext();
+    }
+
+    pause() {
+        this.playing = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    setSpeed(speed) {
+        this.speed = speed;
+        // Apply the new speed to the step that is already waiting
+        if (this.playing) {
+            clearTimeout(this.timer);
+            this.scheduleNext();
+        }
+    }
+
+    scheduleNext() {
+        if (!this.playing) {
+            return;
+        }
+        if (this.isAtEnd) {
+            this.pause();
+            return;
+        }
+
+        const gap = this.frames[this.index + 1].timestamp - this.frames[this.index].timestamp;
+        const delay = Math.min(Math.max(gap / this.speed, this.minStepDelayMs), this.maxStepDelayMs);
+
+        this.timer = setTimeout(async () => {
+            await this.seek(this.index + 1);
+            this.scheduleNext();
+        }, delay);
+    }
+}
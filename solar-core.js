@@ -0,0 +1,249 @@
+// DeviceList and layout parsing shared by the browser app and the Node collector (collector.js).
+// Nothing in here touches the DOM or the global CONFIG; settings are passed in. In the browser
+// this defines the SolarCore global, in Node it's the module's export.
+class SolarCore {
+    static isInverter(device) {
+        return device.DEVICE_TYPE === "Inverter" ||
+               device.TYPE === "SOLARBRIDGE" ||
+               (device.DESCR && device.DESCR.includes("Inverter"));
+    }
+
+    // Watts from a DeviceList device. Data sources normalize power to p_3phsum_kw, which is in kilowatts
+    static getPowerValue(device) {
+        if (!device || typeof device !== 'object') {
+            return 0;
+        }
+        const value = parseFloat(device.p_3phsum_kw);
+        return isNaN(value) ? 0 : value * 1000;
+    }
+
+    // Lifetime energy counter in kWh, or null if the device doesn't report one
+    static getEnergyValue(device) {
+        if (!device || device.ltea_3phsumi_kwh === undefined || device.ltea_3phsumi_kwh === null || device.ltea_3phsumi_kwh === '') {
+            return null;
+        }
+        const value = parseFloat(device.ltea_3phsumi_kwh);
+        return isNaN(value) ? null : value;
+    }
+
+    // DeviceList times ("2025,06,01,18,20,00") are UTC
+    static parseDeviceTime(value) {
+        const parts = String(value || '').split(',').map(part => parseInt(part));
+        if (parts.length < 6 || parts.some(part => isNaN(part))) {
+            return null;
+        }
+        return Date.UTC(parts[0], parts[1] - 1, parts[2], parts[3], parts[4], parts[5]);
+    }
+
+    // The inverters in one DeviceList poll: { inverters, powerData, readings, maxPower }.
+    // powerData is keyed by serial (and its upper-case form, for matching panels case-insensitively);
+    // readings are { serial, power (W), kwh }, with the serial upper-cased as the history and energy
+    // stores key it.
+    static indexDevices(devices) {
+        const inverters = devices.filter(device => SolarCore.isInverter(device));
+        const powerData = {};
+        const readings = [];
+        let maxPower = 0;
+
+        inverters.forEach(device => {
+            // Use SERIAL field (uppercase) to match with panel inverterSerialNumber
+            const serial = device.SERIAL;
+            if (!serial) {
+                return;
+            }
+            powerData[serial] = device;
+            if (serial !== serial.toUpperCase()) {
+                powerData[serial.toUpperCase()] = device;
+            }
+
+            const power = SolarCore.getPowerValue(device);
+            maxPower = Math.max(maxPower, power);
+            readings.push({ serial: serial.toUpperCase(), power: power, kwh: SolarCore.getEnergyValue(device) });
+        });
+
+        return { inverters: inverters, powerData: powerData, readings: readings, maxPower: maxPower };
+    }
+
+    // Pick the production meter, consumption meter and PVS supervisor out of DeviceList
+    // and work out production, household load and net grid import/export (all in W).
+    // consumptionMeterMode is 'net' (default) or 'gross'. Returns null when there are none.
+    static parseSiteDevices(devices, inverters, consumptionMeterMode = 'net') {
+        const isMeter = (device) => device.DEVICE_TYPE === 'Power Meter' ||
+                                    (device.TYPE && device.TYPE.includes('METER'));
+        const meters = devices.filter(isMeter);
+        const productionMeter = meters.find(device =>
+            (device.TYPE && device.TYPE.endsWith('-P')) || (device.MODEL && device.MODEL.endsWith('p')));
+        const consumptionMeter = meters.find(device =>
+            (device.TYPE && device.TYPE.endsWith('-C')) || (device.MODEL && device.MODEL.endsWith('c')));
+        const supervisor = devices.find(device =>
+            device.DEVICE_TYPE === 'PVS' || (device.MODEL && device.MODEL.includes('PV Supervisor')));
+
+        if (!productionMeter && !consumptionMeter && !supervisor) {
+            return null;
+        }
+
+        // Fall back to the inverter total when there's no production meter
+        const production = productionMeter
+            ? SolarCore.getPowerValue(productionMeter)
+            : inverters.reduce((total, device) => total + SolarCore.getPowerValue(device), 0);
+
+        // A consumption CT in 'net' mode measures the grid connection (positive = importing),
+        // in 'gross' mode it measures the household load directly
+        let grid = null;
+        let load = null;
+        if (consumptionMeter) {
+            const consumption = SolarCore.getPowerValue(consumptionMeter);
+            if (consumptionMeterMode === 'gross') {
+                load = consumption;
+                grid = load - production;
+            } else {
+                grid = consumption;
+                load = production + grid;
+            }
+        }
+
+        return {
+            production: production,
+            productionSource: productionMeter ? 'meter' : 'inverters',
+            productionLifetimeKwh: productionMeter ? parseFloat(productionMeter.net_ltea_3phsum_kwh) : null,
+            grid: grid,
+            load: load,
+            supervisor: supervisor ? {
+                serial: supervisor.SERIAL,
+                model: supervisor.MODEL,
+                hardware: supervisor.HWVER,
+                firmware: supervisor.SWVER,
+                uptimeSeconds: parseInt(supervisor.dl_uptime),
+                commErrors: parseInt(supervisor.dl_comm_err),
+                errorCount: parseInt(supervisor.dl_err_count),
+                cpuLoad: parseFloat(supervisor.dl_cpu_load),
+                state: supervisor.STATEDESCR || supervisor.STATE
+            } : null
+        };
+    }
+
+    // Layout settings come from the same keys as config.js: layoutUnits, panelModules, pv6CoordinateScale
+
+    static getLayoutUnits(config) {
+        return config.layoutUnits === 'in' ? 'in' : 'm';
+    }
+
+    static convertLength(value, fromUnits, toUnits) {
+        if (fromUnits === toUnits) {
+            return value;
+        }
+        return fromUnits === 'm' ? value * 39.3701 : value / 39.3701;
+    }
+
+    // Portrait module size { width, height } in layout units for a panel type
+    static getPanelModule(config, panelType) {
+        const modules = config.panelModules || {};
+        if (modules[panelType || 'default']) {
+            return modules[panelType || 'default'];
+        }
+        if (modules.default) {
+            return modules.default;
+        }
+        // A typical 400 W residential module (1046 x 1690 mm)
+        return SolarCore.getLayoutUnits(config) === 'in' ? { width: 41.2, height: 66.5 } : { width: 1.046, height: 1.690 };
+    }
+
+    // Layout units per PV6 coordinate unit. Unless configured, assume a module is 80 PV6
+    // units wide, which is how layouts were drawn before they had real units.
+    static getCoordinateScale(config) {
+        return config.pv6CoordinateScale || SolarCore.getPanelModule(config, 'default').width / 80;
+    }
+
+    // A portrait module's { width, height } for a planeRotation: 0° up to 90° is portrait (taller
+    // than wide), 90° up to 180° landscape, and so on round
+    static getRotatedSize(panelModule, rotation) {
+        const quarter = Math.floor((((rotation || 0) % 360) + 360) % 360 / 90);
+        return quarter % 2 === 1
+            ? { width: panelModule.height, height: panelModule.width }
+            : { width: panelModule.width, height: panelModule.height };
+    }
+
+    // Panels from a data source layout ({ xCoordinate, yCoordinate, planeRotation, inverterSerialNumber }).
+    // PV6 coordinates are scaled into layout units; the viewport takes care of fitting them on
+    // screen, so negative coordinates need no offset.
+    static panelsFromSourceLayout(entries, config) {
+        const scale = SolarCore.getCoordinateScale(config);
+
+        return entries.map((panel, index) => {
+            // Panels without coordinates are laid out in rows of ten
+            const fallback = Math.floor(index / 10) * 120 + 50;
+            const x = (panel.xCoordinate !== undefined ? panel.xCoordinate : fallback) * scale;
+            const y = (panel.yCoordinate !== undefined ? panel.yCoordinate : fallback) * scale;
+
+            // Get rotation angle (normalize to 0-360)
+            const rotation = (panel.planeRotation || 0) % 360;
+
+            // Module size from its type, turned to landscape for rotations in the second and
+            // fourth quarter; the rest of the angle is drawn as a rotation (see geometry.js)
+            const { width, height } = SolarCore.getRotatedSize(SolarCore.getPanelModule(config, panel.panelType), rotation);
+
+            return {
+                // Keep original data
+                ...panel,
+                x: x,
+                y: y,
+                width: width,
+                height: height,
+                id: panel.inverterSerialNumber || `panel-${index}`,
+                serialNumber: panel.inverterSerialNumber,
+                inverterSerialNumber: panel.inverterSerialNumber,
+                planeRotation: rotation,
+                panelType: panel.panelType || 'default'
+            };
+        });
+    }
+
+    // An exported layout is either { units, panels: [...] } as exported now, or a plain
+    // array from older exports, which used PV6 coordinate units
+    static parseLocalLayout(layout, config) {
+        if (!layout) {
+            return [];
+        }
+
+        const legacy = Array.isArray(layout);
+        const panels = legacy ? layout : (layout.panels || []);
+        const units = SolarCore.getLayoutUnits(config);
+        const toWorld = legacy
+            ? (value) => value * SolarCore.getCoordinateScale(config)
+            : (value) => SolarCore.convertLength(value, layout.units || units, units);
+
+        return panels.map((panel, index) => {
+            const rotation = panel.planeRotation || 0;
+            const moduleSize = SolarCore.getRotatedSize(SolarCore.getPanelModule(config, panel.panelType), rotation);
+            let width = panel.width ? toWorld(panel.width) : moduleSize.width;
+            let height = panel.height ? toWorld(panel.height) : moduleSize.height;
+            let x = toWorld(panel.x || 0);
+            let y = toWorld(panel.y || 0);
+            // Layouts saved before panels were drawn at their true angle stored panels at odd
+            // angles as squares of the longer side; give them back their module size
+            if (rotation % 90 !== 0 && Math.abs(width - height) < 1e-6 && moduleSize.width !== moduleSize.height) {
+                x += (width - moduleSize.width) / 2;
+                y += (height - moduleSize.height) / 2;
+                width = moduleSize.width;
+                height = moduleSize.height;
+            }
+            return {
+                ...panel,
+                // Ensure all required fields are present
+                id: panel.id || panel.inverterSerialNumber || `panel-${index}`,
+                serialNumber: panel.serialNumber || panel.inverterSerialNumber,
+                inverterSerialNumber: panel.inverterSerialNumber,
+                x: x,
+                y: y,
+                width: width,
+                height: height,
+                planeRotation: rotation,
+                panelType: panel.panelType || 'default'
+            };
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SolarCore;
+}
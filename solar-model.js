@@ -0,0 +1,134 @@
+// Expected production from the position of the sun and a clear-sky irradiance model. Everything is
+// computed locally: the NOAA solar position equations, Kasten-Young air mass and Meinel's clear-sky
+// direct irradiance, transposed onto a tilted plane. Good to a few percent on a clear day, which is
+// enough to tell "cloudy" from "broken" but not a substitute for a weather service.
+class SolarModel {
+    constructor(options = {}) {
+        this.latitude = options.latitude;
+        this.longitude = options.longitude;
+        this.systemLossPercent = options.systemLossPercent !== undefined ? options.systemLossPercent : 14;
+        this.albedo = options.albedo !== undefined ? options.albedo : 0.2;
+        this.cachedTimestamp = null;
+        this.cachedSun = null;
+    }
+
+    // Sun elevation and azimuth (degrees, azimuth clockwise from north) at a time and place
+    static solarPosition(timestamp, latitude, longitude) {
+        const rad = Math.PI / 180;
+        const date = new Date(timestamp);
+        const julianDay = timestamp / 86400000 + 2440587.5;
+        const t = (julianDay - 2451545) / 36525; // Julian centuries since J2000
+
+        const meanLongitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+        const meanAnomaly = 357.52911 + t * (35999.05029 - 0.0001537 * t);
+        const eccentricity = 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+        const center = Math.sin(meanAnomaly * rad) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+                       Math.sin(2 * meanAnomaly * rad) * (0.019993 - 0.000101 * t) +
+                       Math.sin(3 * meanAnomaly * rad) * 0.000289;
+        const omega = 125.04 - 1934.136 * t;
+        const apparentLongitude = meanLongitude + center - 0.00569 - 0.00478 * Math.sin(omega * rad);
+        const meanObliquity = 23 + (26 + (21.448 - t * (46.815 + t * (0.00059 - t * 0.001813))) / 60) / 60;
+        const obliquity = meanObliquity + 0.00256 * Math.cos(omega * rad);
+        const declination = Math.asin(Math.sin(obliquity * rad) * Math.sin(apparentLongitude * rad));
+
+        // Equation of time, in minutes
+        const y = Math.pow(Math.tan(obliquity * rad / 2), 2);
+        const equationOfTime = 4 / rad * (
+            y * Math.sin(2 * meanLongitude * rad) -
+            2 * eccentricity * Math.sin(meanAnomaly * rad) +
+            4 * eccentricity * y * Math.sin(meanAnomaly * rad) * Math.cos(2 * meanLongitude * rad) -
+            0.5 * y * y * Math.sin(4 * meanLongitude * rad) -
+            1.25 * eccentricity * eccentricity * Math.sin(2 * meanAnomaly * rad)
+        );
+
+        const utcMinutes = date.getUTCHours() * 60 + date.getUTCMinutes() + date.getUTCSeconds() / 60;
+        const trueSolarTime = ((utcMinutes + equationOfTime + 4 * longitude) % 1440 + 1440) % 1440;
+        const hourAngle = trueSolarTime / 4 - 180;
+
+        const lat = latitude * rad;
+        const cosZenith = Math.min(1, Math.max(-1,
+            Math.sin(lat) * Math.sin(declination) +
+            Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle * rad)));
+        const zenith = Math.acos(cosZenith);
+
+        let azimuth = 180;
+        const denominator = Math.cos(lat) * Math.sin(zenith);
+        if (Math.abs(denominator) > 1e-9) {
+            const cosAzimuth = Math.min(1, Math.max(-1,
+                (Math.sin(lat) * cosZenith - Math.sin(declination)) / denominator));
+            const angle = Math.acos(cosAzimuth) / rad;
+            azimuth = hourAngle > 0 ? (angle + 180) % 360 : (540 - angle) % 360;
+        }
+
+        return { elevation: 90 - zenith / rad, azimuth: azimuth };
+    }
+
+    // Clear-sky irradiance (W/m²) for a sun elevation: direct normal, diffuse and global horizontal
+    static clearSky(elevation) {
+        if (elevation <= 0) {
+            return { dni: 0, dhi: 0, ghi: 0 };
+        }
+        const rad = Math.PI / 180;
+        const zenith = 90 - elevation;
+        const airMass = 1 / (Math.cos(zenith * rad) + 0.50572 * Math.pow(96.07995 - zenith, -1.6364));
+        const dni = 1353 * Math.pow(0.7, Math.pow(airMass, 0.678));
+        const dhi = 0.1 * dni;
+        return { dni: dni, dhi: dhi, ghi: dni * Math.cos(zenith * rad) + dhi };
+    }
+
+    // Irradiance on a plane with the given tilt and azimuth (degrees, azimuth clockwise from north)
+    static planeOfArray(sun, irradiance, tilt, azimuth, albedo = 0.2) {
+        const rad = Math.PI / 180;
+        const zenith = (90 - sun.elevation) * rad;
+        const cosIncidence = Math.cos(zenith) * Math.cos(tilt * rad) +
+                             Math.sin(zenith) * Math.sin(tilt * rad) * Math.cos((sun.azimuth - azimuth) * rad);
+        const beam = irradiance.dni * Math.max(0, cosIncidence);
+        const sky = irradiance.dhi * (1 + Math.cos(tilt * rad)) / 2;
+        const ground = irradiance.ghi * albedo * (1 - Math.cos(tilt * rad)) / 2;
+        return beam + sky + ground;
+    }
+
+    getSun(timestamp) {
+        if (timestamp !== this.cachedTimestamp) {
+            this.cachedSun = SolarModel.solarPosition(timestamp, this.latitude, this.longitude);
+            this.cachedTimestamp = timestamp;
+        }
+        return this.cachedSun;
+    }
+
+    // The first time after timestamp that the sun climbs to elevation degrees (e.g. sunrise for 0),
+    // to within a minute, or null if it doesn't within two days (polar night)
+    nextSunAbove(timestamp, elevation) {
+        const step = 5 * 60000;
+        const above = (time) => SolarModel.solarPosition(time, this.latitude, this.longitude).elevation >= elevation;
+        if (above(timestamp)) {
+            return timestamp;
+        }
+        for (let time = timestamp + step; time <= timestamp + 2 * 86400000; time += step) {
+            if (above(time)) {
+                let low = time - step;
+                let high = time;
+                while (high - low > 60000) {
+                    const middle = (low + high) / 2;
+                    if (above(middle)) {
+                        high = middle;
+                    } else {
+                        low = middle;
+                    }
+                }
+                return Math.round(high);
+            }
+        }
+        return null;
+    }
+
+    // Expected AC watts for a panel at a time. panel is { tilt, azimuth, ratedWatts, inverterRatedWatts };
+    // output is capped at the inverter's AC rating when known.
+    expectedPower(timestamp, panel) {
+        const sun = this.getSun(timestamp);
+        const irradiance = SolarModel.clearSky(sun.elevation);
+        const poa = SolarModel.planeOfArray(sun, irradiance, panel.tilt, panel.azimuth, this.albedo);
+        const watts = panel.ratedWatts * (poa / 1000) * (1 - this.systemLossPercent / 100);
+        return panel.inverterRatedWatts ? Math.min(watts, panel.inverterRatedWatts) : watts;
+    }
+}
@@ -0,0 +1,77 @@
+// Keyed SVG rendering. A layer keeps one element per key (a panel ID, say) between renders and
+// only writes the attributes and text that changed, so a render that moves one panel touches
+// one panel's attributes and hover state survives a poll. A render pass looks like:
+//   layer.begin();
+//   items.forEach(item => { const element = layer.item(item.id, () => create()); SvgLayer.set(element, ...); });
+//   layer.end(); // removes the elements whose keys weren't seen
+class SvgLayer {
+    constructor(parent, className) {
+        this.group = SvgLayer.create('g', { class: className });
+        parent.appendChild(this.group);
+        this.elements = new Map(); // key -> element
+        this.seen = new Set();
+    }
+
+    static create(tag, attributes = {}) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        SvgLayer.setAll(element, attributes);
+        return element;
+    }
+
+    // Set an attribute if it changed since the last write; null or undefined removes it. Values
+    // are remembered on the element, which is cheaper than reading them back from the DOM.
+    static set(element, name, value) {
+        const written = element.__svgAttributes || (element.__svgAttributes = {});
+        const text = value === null || value === undefined ? null : String(value);
+        if (written[name] === text) {
+            return;
+        }
+        written[name] = text;
+        if (text === null) {
+            element.removeAttribute(name);
+        } else {
+            element.setAttribute(name, text);
+        }
+    }
+
+    static setAll(element, attributes) {
+        Object.keys(attributes).forEach(name => SvgLayer.set(element, name, attributes[name]));
+    }
+
+    static setText(element, text) {
+        if (element.textContent !== text) {
+            element.textContent = text;
+        }
+    }
+
+    begin() {
+        this.seen = new Set();
+    }
+
+    // The element for key, created with create() (and added to the layer) the first time
+    item(key, create) {
+        let element = this.elements.get(key);
+        if (!element) {
+            element = create();
+            this.elements.set(key, element);
+            this.group.appendChild(element);
+        }
+        this.seen.add(key);
+        return element;
+    }
+
+    end() {
+        this.elements.forEach((element, key) => {
+            if (!this.seen.has(key)) {
+                element.remove();
+                this.elements.delete(key);
+            }
+        });
+    }
+
+    // For layers that are cheap enough to redraw from scratch every time
+    clear() {
+        this.group.textContent = '';
+        this.elements.clear();
+    }
+}
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { AlertRules } = loadScripts(['alert-rules.js'], ['AlertRules']);
+
+const failed = (timestamp) => ({ timestamp: timestamp, ok: false, error: 'timeout', inverters: [], totalPower: 0 });
+const hot = (timestamp, celsius) => ({
+    timestamp: timestamp,
+    ok: true,
+    inverters: [{ SERIAL: 'E001', t_htsnk_degc: String(celsius) }],
+    totalPower: 1000
+});
+
+test('fires once the condition has held for the set number of polls, then stays quiet until it clears', () => {
+    const alerts = new AlertRules({ rules: [{ type: 'heatsinkAbove', celsius: 70, consecutivePolls: 2 }], storage: null });
+
+    assert.deepStrictEqual(alerts.evaluate(hot(1, 75)), []);
+    const fired = alerts.evaluate(hot(2, 78));
+    assert.deepStrictEqual(fired.map(alert => alert.message), ['E001 above 70°C (hottest 78°C)']);
+    assert.deepStrictEqual(alerts.evaluate(hot(3, 80)), []);
+    assert.strictEqual(alerts.getUnacknowledged()[0].message, 'E001 above 70°C (hottest 80°C)');
+
+    alerts.evaluate(hot(4, 60));
+    assert.strictEqual(alerts.log[0].clearedAt, 4);
+    assert.deepStrictEqual(alerts.getUnacknowledged(), []);
+});
+
+test('leaves inverter rules alone when the poll failed', () => {
+    const alerts = new AlertRules({ rules: [{ type: 'heatsinkAbove', celsius: 70 }, { type: 'pollFailed' }], storage: null });
+
+    alerts.evaluate(hot(1, 75));
+    const fired = alerts.evaluate(failed(2));
+
+    assert.deepStrictEqual(fired.map(alert => alert.ruleId), ['rule-2']);
+    assert.strictEqual(alerts.findActive('rule-1').clearedAt, null);
+});
+
+test('keeps a snoozed rule quiet until the snooze ends', () => {
+    const alerts = new AlertRules({ rules: [{ id: 'down', type: 'pollFailed' }], storage: null });
+    const [alert] = alerts.evaluate(failed(0));
+
+    alerts.snooze(alert.id, 10, 0);
+    assert.deepStrictEqual(alerts.evaluate(failed(5 * 60000)), []);
+    assert.strictEqual(alerts.evaluate(failed(11 * 60000)).length, 1);
+});
+
+test('ignores rules of an unknown type', () => {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const alerts = new AlertRules({ rules: [{ type: 'moonPhase' }, { type: 'pollFailed' }], storage: null });
+        assert.deepStrictEqual(alerts.rules.map(rule => rule.id), ['rule-1']);
+    } finally {
+        console.warn = warn;
+    }
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { AnomalyDetector } = loadScripts(['anomaly-detector.js'], ['AnomalyDetector']);
+
+const panels = ['a', 'b', 'c', 'd'].map((id, index) => ({ id: id, x: index * 50, y: 0, width: 40, height: 80, planeRotation: 0 }));
+
+function poll(detector, powers) {
+    return detector.evaluate(panels.map((panel, index) => ({ panel: panel, power: powers[index] })), 1000);
+}
+
+test('flags a panel only after it has been below its peers for several polls', () => {
+    const detector = new AnomalyDetector({ consecutivePolls: 3 });
+
+    assert.deepStrictEqual(poll(detector, [300, 310, 305, 100]), []);
+    assert.deepStrictEqual(poll(detector, [300, 310, 305, 100]), []);
+    const issues = poll(detector, [300, 310, 305, 100]);
+
+    assert.deepStrictEqual(issues.map(issue => [issue.panelId, issue.type, issue.polls]), [['d', 'low', 3]]);
+    assert.strictEqual(issues[0].peerMedian, 305);
+    assert.strictEqual(detector.isFlagged('d'), true);
+});
+
+test('clears the flag once the panel catches up, and judges nothing when the peers are dark', () => {
+    const detector = new AnomalyDetector({ consecutivePolls: 1 });
+
+    poll(detector, [300, 310, 305, 0]);
+    assert.strictEqual(detector.getIssues()[0].type, 'zero');
+    // Night: the flag neither clears nor grows
+    poll(detector, [5, 5, 5, 0]);
+    assert.strictEqual(detector.isFlagged('d'), true);
+    poll(detector, [300, 310, 305, 290]);
+    assert.strictEqual(detector.isFlagged('d'), false);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { EnergyTracker } = loadScripts(['energy-tracker.js'], ['EnergyTracker']);
+
+const HOUR = 60 * 60 * 1000;
+const start = new Date(2025, 5, 2, 9, 0, 0).getTime();
+
+// The parts of PowerHistoryStore the tracker uses, kept in memory
+function memoryStore() {
+    const counters = {};
+    const daily = {};
+    return {
+        async getCounters() {
+            return Object.values(counters);
+        },
+        async saveEnergy(updated, energy) {
+            updated.forEach(counter => {
+                counters[counter.serial] = counter;
+            });
+            energy.forEach(entry => {
+                const key = `${entry.serial}|${entry.day}`;
+                daily[key] = { serial: entry.serial, day: entry.day, kwh: (daily[key] ? daily[key].kwh : 0) + entry.kwh };
+            });
+        },
+        async getDailyEnergy(fromDay, toDay) {
+            return Object.values(daily).filter(entry => entry.day >= fromDay && entry.day <= toDay);
+        }
+    };
+}
+
+test('adds counter deltas to today and the lifetime, starting from a baseline', async () => {
+    const tracker = new EnergyTracker(memoryStore());
+    await tracker.recordCounters(start, [{ serial: 'A', kwh: 100 }]);
+    await tracker.recordCounters(start + HOUR, [{ serial: 'A', kwh: 100.4 }]);
+    await tracker.recordCounters(start + 2 * HOUR, [{ serial: 'A', kwh: 100.9 }]);
+
+    const totals = await tracker.getTotals(start + 2 * HOUR);
+    assert.ok(Math.abs(totals.inverters.A.today - 0.9) < 1e-9);
+    assert.ok(Math.abs(totals.inverters.A.lifetime - 100.9) < 1e-9);
+    assert.ok(Math.abs(totals.array.lifetime - 100.9) < 1e-9);
+});
+
+test('counts a counter that went backwards as a reset, and keeps the lifetime growing', async () => {
+    const tracker = new EnergyTracker(memoryStore());
+    await tracker.recordCounters(start, [{ serial: 'A', kwh: 500 }]);
+    await tracker.recordCounters(start + HOUR, [{ serial: 'A', kwh: 500.5 }]);
+    await tracker.recordCounters(start + 2 * HOUR, [{ serial: 'A', kwh: 0.3 }]);
+
+    const totals = await tracker.getTotals(start + 2 * HOUR);
+    assert.ok(Math.abs(totals.inverters.A.today - 0.8) < 1e-9);
+    assert.ok(Math.abs(totals.inverters.A.lifetime - 500.8) < 1e-9);
+});
+
+test('ignores jumps larger than an inverter could have produced', async () => {
+    const tracker = new EnergyTracker(memoryStore(), { maxInverterKw: 0.4 });
+    await tracker.recordCounters(start, [{ serial: 'A', kwh: 10 }]);
+    await tracker.recordCounters(start + HOUR, [{ serial: 'A', kwh: 60 }]);
+    await tracker.recordCounters(start + 2 * HOUR, [{ serial: 'A', kwh: 60.2 }]);
+
+    const totals = await tracker.getTotals(start + 2 * HOUR);
+    assert.ok(Math.abs(totals.inverters.A.today - 0.2) < 1e-9);
+    assert.ok(Math.abs(totals.inverters.A.lifetime - 10.2) < 1e-9);
+});
+
+test('keeps a replaced inverter in the array lifetime and baselines its replacement', async () => {
+    const tracker = new EnergyTracker(memoryStore());
+    await tracker.recordCounters(start, [{ serial: 'OLD', kwh: 900 }]);
+    await tracker.recordCounters(start + HOUR, [{ serial: 'NEW', kwh: 0.1 }]);
+    await tracker.recordCounters(start + 2 * HOUR, [{ serial: 'NEW', kwh: 0.4 }]);
+
+    const totals = await tracker.getTotals(start + 2 * HOUR);
+    assert.strictEqual(totals.inverters.OLD.lifetime, 900);
+    assert.ok(Math.abs(totals.inverters.NEW.lifetime - 0.4) < 1e-9);
+    assert.ok(Math.abs(totals.array.lifetime - 900.4) < 1e-9);
+});
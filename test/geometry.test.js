@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { Geometry } = loadScripts(['geometry.js'], ['Geometry']);
+
+const panel = (x, y, planeRotation = 0) => ({ x: x, y: y, width: 40, height: 80, planeRotation: planeRotation });
+
+test('finds no overlap between panels that only touch or stand apart', () => {
+    assert.strictEqual(Geometry.panelsOverlap(panel(0, 0), panel(40, 0)), false);
+    assert.strictEqual(Geometry.panelsOverlap(panel(0, 0), panel(50, 10)), false);
+    assert.strictEqual(Geometry.panelsOverlap(panel(0, 0), panel(39, 79)), true);
+});
+
+test('pushes the second panel out the shortest way', () => {
+    const push = Geometry.separation(Geometry.corners(panel(0, 0)), Geometry.corners(panel(30, 10)));
+
+    assert.ok(Math.abs(push.x - 10) < 1e-9);
+    assert.ok(Math.abs(push.y) < 1e-9);
+    assert.ok(Math.abs(push.depth - 10) < 1e-9);
+    assert.strictEqual(Geometry.panelsOverlap(panel(0, 0), panel(30 + push.x, 10 + push.y)), false);
+});
+
+test('tests rotated panels by their drawn corners, not their boxes', () => {
+    // Their boxes overlap, but turned 45° the panels clear each other's corners
+    const turned = panel(0, 0, 45);
+    const corner = Geometry.corners(turned).reduce((right, point) => point.x > right.x ? point : right);
+    const beside = { x: corner.x - 5, y: corner.y + 30, width: 40, height: 40, planeRotation: 0 };
+
+    assert.strictEqual(Geometry.bounds([turned]).maxX > beside.x, true);
+    assert.strictEqual(Geometry.panelsOverlap(turned, beside), false);
+    assert.strictEqual(Geometry.panelsOverlap(turned, { ...beside, y: corner.y - 20 }), true);
+});
+
+test('keeps the centre and size when a rotation crosses a quarter turn', () => {
+    const rotated = panel(0, 0);
+    Geometry.setRotation(rotated, 100);
+
+    assert.deepStrictEqual(Geometry.center(rotated), { x: 20, y: 40 });
+    assert.deepStrictEqual([rotated.width, rotated.height, rotated.planeRotation], [80, 40, 100]);
+    assert.strictEqual(Geometry.residualRotation(rotated), 10);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { InventoryCheck } = loadScripts(['inventory-check.js'], ['InventoryCheck']);
+
+test('matches panels to inverters whatever the case of their serials', () => {
+    const panels = [
+        { id: 'p1', inverterSerialNumber: 'e00121938006475' },
+        { id: 'p2', serialNumber: 'E00121938006476' },
+        { id: 'p3', inverterSerialNumber: 'E00121938009999' }
+    ];
+    const report = InventoryCheck.reconcile(panels, ['E00121938006475', 'e00121938006476', 'E00121938001234']);
+
+    assert.deepStrictEqual(report.unmatchedPanels.map(panel => panel.id), ['p3']);
+    assert.deepStrictEqual(report.unplacedInverters, ['E00121938001234']);
+    assert.deepStrictEqual(report.duplicates, []);
+});
+
+test('reports serials repeated in the layout or in DeviceList', () => {
+    const panels = [
+        { id: 'p1', inverterSerialNumber: 'E001' },
+        { id: 'p2', inverterSerialNumber: 'e001' }
+    ];
+    const report = InventoryCheck.reconcile(panels, ['E001', 'E002', 'e002']);
+
+    assert.deepStrictEqual(report.duplicates.map(duplicate => [duplicate.source, duplicate.count]), [['layout', 2], ['inverters', 2]]);
+    assert.deepStrictEqual(report.unplacedInverters, ['E002']);
+    assert.strictEqual(InventoryCheck.isClean(report), false);
+});
+
+test('looks up upper-case keyed data for a panel with a mixed-case serial', () => {
+    const byKey = { E00121938006475: { today: 1.2 } };
+
+    assert.deepStrictEqual(InventoryCheck.lookup({ id: 'p1', inverterSerialNumber: 'e00121938006475' }, byKey), { today: 1.2 });
+    assert.deepStrictEqual(InventoryCheck.lookup({ id: 'e00121938006475' }, byKey), { today: 1.2 });
+    assert.strictEqual(InventoryCheck.lookup({ id: 'p2', serialNumber: 'E00121938000000' }, byKey), null);
+});
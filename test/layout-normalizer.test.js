@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { Geometry, LayoutNormalizer } = loadScripts(['geometry.js', 'layout-normalizer.js'], ['Geometry', 'LayoutNormalizer']);
+
+const width = 1.05;
+const height = 1.7;
+const panel = (id, x, y, planeRotation = 0) => ({ id: id, x: x, y: y, width: width, height: height, planeRotation: planeRotation });
+
+test('clusters values that are within the tolerance of the first one', () => {
+    const clusters = LayoutNormalizer.cluster([0.02, 3.1, 0, 1.6, 3, 1.55], value => value, 0.5);
+    assert.deepStrictEqual(clusters, [[0, 0.02], [1.55, 1.6], [3, 3.1]]);
+});
+
+test('lines up a slightly scattered array on its rows and columns', () => {
+    const jitter = [0.03, -0.02, 0.04, -0.04, 0.01, 0.02];
+    const panels = [];
+    for (let row = 0; row < 2; row++) {
+        for (let column = 0; column < 3; column++) {
+            const i = row * 3 + column;
+            panels.push(panel(`P${i}`, column * (width + 0.02) + jitter[i], row * (height + 0.02) - jitter[5 - i]));
+        }
+    }
+    const result = LayoutNormalizer.normalize(panels, { gap: 0.01 });
+
+    assert.strictEqual(result.planes, 1);
+    assert.strictEqual(result.rows, 2);
+    assert.strictEqual(result.columns, 3);
+    [0, 3].forEach(start => {
+        const row = result.panels.slice(start, start + 3);
+        row.forEach(item => assert.ok(Math.abs(item.y - row[0].y) < 1e-9));
+    });
+    [0, 1, 2].forEach(column => assert.ok(Math.abs(result.panels[column].x - result.panels[column + 3].x) < 1e-9));
+    assert.strictEqual(panels[0].x, jitter[0], 'the input is left alone');
+});
+
+test('pushes overlapping neighbours apart without changing their order', () => {
+    const panels = [panel('A', 0, 0), panel('B', width * 0.7, 0.02), panel('C', 2 * width + 0.1, -0.01)];
+    const result = LayoutNormalizer.normalize(panels, { gap: 0.01 });
+
+    for (let i = 1; i < result.panels.length; i++) {
+        assert.ok(result.panels[i].x >= result.panels[i - 1].x + width + 0.01 - 1e-9);
+        assert.strictEqual(Geometry.panelsOverlap(result.panels[i - 1], result.panels[i]), false);
+    }
+});
+
+test('lines up a tilted plane along its tilt, apart from a plane at another angle', () => {
+    const origin = { x: 20, y: 0 };
+    const tilted = [0, 1, 2].map(column => {
+        const center = Geometry.rotatePoint({ x: origin.x + column * (width + 0.03), y: origin.y + (column === 1 ? 0.05 : 0) }, origin, 30);
+        return panel(`T${column}`, center.x - width / 2, center.y - height / 2, 30);
+    });
+    const result = LayoutNormalizer.normalize([panel('A', 0, 0), ...tilted], { gap: 0.01 });
+
+    assert.strictEqual(result.planes, 2);
+    const centers = result.panels.slice(1).map(item => Geometry.rotatePoint(Geometry.center(item), { x: 0, y: 0 }, -30));
+    centers.forEach(center => assert.ok(Math.abs(center.y - centers[0].y) < 1e-9));
+});
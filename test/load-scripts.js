@@ -0,0 +1,15 @@
+// The dashboard's scripts are plain browser scripts that share globals, in the order index.html
+// loads them. Run the given ones the same way and hand back the classes the tests need.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+function loadScripts(files, names) {
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+        vm.runInThisContext(source, { filename: file });
+    });
+    return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+module.exports = loadScripts;
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { PollScheduler } = loadScripts(['polling.js'], ['PollScheduler']);
+
+test('aborts a poll that takes longer than the timeout and reports why', async () => {
+    const scheduler = new PollScheduler(signal => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+    }), { timeoutMs: 20 });
+
+    await scheduler.pollNow();
+
+    assert.strictEqual(scheduler.failures, 1);
+    assert.match(scheduler.lastError.message, /No response after/);
+    assert.strictEqual(scheduler.timer, null); // not started, so nothing is scheduled
+});
+
+test('shares the poll in flight instead of starting another', async () => {
+    let calls = 0;
+    const scheduler = new PollScheduler(async () => {
+        calls++;
+    });
+
+    await Promise.all([scheduler.pollNow(), scheduler.pollNow()]);
+
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(scheduler.lastError, null);
+});
+
+test('backs off after each failure up to the maximum, then resumes the interval', async () => {
+    let fail = true;
+    const scheduler = new PollScheduler(async () => {
+        if (fail) {
+            throw new Error('PVS unreachable');
+        }
+    }, { intervalMs: 60000, retryDelayMs: 1000, maxRetryDelayMs: 3000 });
+
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+        await scheduler.pollNow();
+        delays.push(scheduler.delayMs);
+    }
+    [1000, 2000, 3000, 3000].forEach((delay, index) => {
+        assert.ok(delays[index] >= delay / 2 && delays[index] <= delay, `retry ${index + 1} after ${delays[index]} ms`);
+    });
+
+    fail = false;
+    await scheduler.pollNow();
+    assert.strictEqual(scheduler.failures, 0);
+    assert.strictEqual(scheduler.delayMs, 60000);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SolarCore = require('../solar-core.js');
+
+test('indexes inverters by serial and keys readings by upper-case serial', () => {
+    const devices = [
+        { DEVICE_TYPE: 'Inverter', SERIAL: 'e00121938006475', p_3phsum_kw: '0.25', ltea_3phsumi_kwh: '812.5' },
+        { DEVICE_TYPE: 'Inverter', SERIAL: 'E00121938006476', p_3phsum_kw: '0', ltea_3phsumi_kwh: '' },
+        { DEVICE_TYPE: 'Inverter', p_3phsum_kw: '0.1' },
+        { DEVICE_TYPE: 'Power Meter', SERIAL: 'PVS6M0001p', p_3phsum_kw: '2.1' }
+    ];
+    const { inverters, powerData, readings, maxPower } = SolarCore.indexDevices(devices);
+
+    assert.strictEqual(inverters.length, 3);
+    assert.strictEqual(powerData.e00121938006475, powerData.E00121938006475);
+    assert.deepStrictEqual(readings, [
+        { serial: 'E00121938006475', power: 250, kwh: 812.5 },
+        { serial: 'E00121938006476', power: 0, kwh: null }
+    ]);
+    assert.strictEqual(maxPower, 250);
+});
+
+test('reads DeviceList times as UTC', () => {
+    assert.strictEqual(SolarCore.parseDeviceTime('2025,06,01,18,20,00'), Date.UTC(2025, 5, 1, 18, 20, 0));
+    assert.strictEqual(SolarCore.parseDeviceTime('not a time'), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { SolarModel } = loadScripts(['solar-model.js'], ['SolarModel']);
+
+const GREENWICH = { latitude: 51.4769, longitude: 0 };
+
+function near(actual, expected, tolerance) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+function sunAt(time, place) {
+    return SolarModel.solarPosition(Date.parse(time), place.latitude, place.longitude);
+}
+
+test('puts the sun due south at the height of the solstice noon', () => {
+    // Solar noon at Greenwich is about two minutes after 12:00 UTC on 21 June
+    const sun = sunAt('2024-06-21T12:02:00Z', GREENWICH);
+
+    near(sun.elevation, 90 - GREENWICH.latitude + 23.44, 0.1);
+    near(sun.azimuth, 180, 1);
+    near(sunAt('2024-12-21T11:58:00Z', GREENWICH).elevation, 90 - GREENWICH.latitude - 23.44, 0.1);
+});
+
+test('has the sun in the east in the morning, the west in the afternoon and below the horizon at night', () => {
+    // NOAA solar calculator: 36.3° at 97.6° and 36.9° at 261.6°
+    const morning = sunAt('2024-06-21T08:00:00Z', GREENWICH);
+    const afternoon = sunAt('2024-06-21T16:00:00Z', GREENWICH);
+
+    near(morning.elevation, 36.3, 0.2);
+    near(morning.azimuth, 97.6, 0.5);
+    near(afternoon.elevation, 36.9, 0.2);
+    near(afternoon.azimuth, 261.6, 0.5);
+    assert.ok(sunAt('2024-06-21T00:00:00Z', GREENWICH).elevation < 0);
+});
+
+test('expects nothing at night and more from a panel facing the sun', () => {
+    const model = new SolarModel(GREENWICH);
+    const south = { tilt: 30, azimuth: 180, ratedWatts: 400 };
+    const north = { tilt: 30, azimuth: 0, ratedWatts: 400 };
+    const noon = Date.parse('2024-06-21T12:02:00Z');
+
+    assert.strictEqual(model.expectedPower(Date.parse('2024-06-21T00:00:00Z'), south), 0);
+    assert.ok(model.expectedPower(noon, south) > model.expectedPower(noon, north));
+    assert.ok(model.expectedPower(noon, south) < south.ratedWatts);
+    assert.strictEqual(model.expectedPower(noon, { ...south, inverterRatedWatts: 250 }), 250);
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const loadScripts = require('./load-scripts.js');
+
+const { UndoHistory } = loadScripts(['undo.js'], ['UndoHistory']);
+
+// A command that sets state.value from one value to another
+function change(state, from, to, extra = {}) {
+    state.value = to;
+    return { label: `Set ${to}`, undo: () => { state.value = from; }, redo: () => { state.value = to; }, ...extra };
+}
+
+test('undoes and redoes in order, and a new edit clears the redo stack', () => {
+    const state = { value: 0 };
+    const history = new UndoHistory();
+    history.push(change(state, 0, 1));
+    history.push(change(state, 1, 2));
+
+    assert.strictEqual(history.undo().label, 'Set 2');
+    assert.strictEqual(state.value, 1);
+    assert.strictEqual(history.redoLabel, 'Set 2');
+    history.redo();
+    assert.strictEqual(state.value, 2);
+
+    history.undo();
+    history.push(change(state, 1, 5));
+    assert.strictEqual(history.canRedo, false);
+    history.undo();
+    history.undo();
+    assert.strictEqual(state.value, 0);
+    assert.strictEqual(history.undo(), null);
+});
+
+test('merges edits with the same key into one step', () => {
+    const state = { value: 0 };
+    const history = new UndoHistory();
+    history.push(change(state, 0, 1, { mergeKey: 'nudge' }));
+    history.push(change(state, 1, 2, { mergeKey: 'nudge' }));
+    history.push(change(state, 2, 3, { mergeKey: 'nudge' }));
+
+    history.undo();
+    assert.strictEqual(state.value, 0);
+    assert.strictEqual(history.canUndo, false);
+    history.redo();
+    assert.strictEqual(state.value, 3);
+});
+
+test('drops the oldest steps past the limit', () => {
+    const state = { value: 0 };
+    const history = new UndoHistory({ limit: 2 });
+    [1, 2, 3].forEach(value => history.push(change(state, value - 1, value)));
+
+    history.undo();
+    history.undo();
+    assert.strictEqual(state.value, 1);
+    assert.strictEqual(history.canUndo, false);
+});
@@ -0,0 +1,76 @@
+// Undo/redo stack of commands. A command is { label, undo(), redo() } and is pushed after its
+// change has already been applied. Commands with the same mergeKey pushed within mergeWindowMs
+// of each other (e.g. repeated arrow-key nudges) are combined into one undo step.
+class UndoHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.mergeWindowMs = options.mergeWindowMs !== undefined ? options.mergeWindowMs : 1000;
+        this.onChange = options.onChange || (() => {});
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    push(command) {
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+
+        if (last && command.mergeKey && last.mergeKey === command.mergeKey && now - last.time < this.mergeWindowMs) {
+            // Keep the original undo and take the newest redo
+            last.redo = command.redo;
+            last.time = now;
+        } else {
+            this.undoStack.push({ ...command, time: now });
+            if (this.undoStack.length > this.limit) {
+                this.undoStack.shift();
+            }
+        }
+
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.undo();
+        // A redone command never merges with the next edit
+        this.redoStack.push({ ...command, mergeKey: null });
+        this.onChange();
+        return command;
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) {
+            return null;
+        }
+        command.redo();
+        this.undoStack.push(command);
+        this.onChange();
+        return command;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    get undoLabel() {
+        return this.canUndo ? this.undoStack[this.undoStack.length - 1].label : null;
+    }
+
+    get redoLabel() {
+        return this.canRedo ? this.redoStack[this.redoStack.length - 1].label : null;
+    }
+}
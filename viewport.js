@@ -0,0 +1,81 @@
+// Maps layout (world) coordinates in real units onto the SVG canvas in pixels.
+// screen = world * scale + offset, where scale is pixels per world unit.
+class Viewport {
+    constructor() {
+        this.scale = 1;
+        this.offsetX = 0;
+        this.offsetY = 0;
+        this.width = 0;
+        this.height = 0;
+        this.minScale = 0;
+        this.maxScale = Infinity;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    worldToScreen(x, y) {
+        return {
+            x: x * this.scale + this.offsetX,
+            y: y * this.scale + this.offsetY
+        };
+    }
+
+    screenToWorld(x, y) {
+        return {
+            x: (x - this.offsetX) / this.scale,
+            y: (y - this.offsetY) / this.scale
+        };
+    }
+
+    toScreenLength(length) {
+        return length * this.scale;
+    }
+
+    toWorldLength(pixels) {
+        return pixels / this.scale;
+    }
+
+    setScaleLimits(minScale, maxScale) {
+        this.minScale = minScale;
+        this.maxScale = maxScale;
+    }
+
+    // Zoom by factor, keeping the world point under (screenX, screenY) where it is
+    zoomAt(screenX, screenY, factor) {
+        const world = this.screenToWorld(screenX, screenY);
+        this.scale = Math.min(Math.max(this.scale * factor, this.minScale), this.maxScale);
+        this.offsetX = screenX - world.x * this.scale;
+        this.offsetY = screenY - world.y * this.scale;
+    }
+
+    panBy(dx, dy) {
+        this.offsetX += dx;
+        this.offsetY += dy;
+    }
+
+    // World point at the centre of the canvas
+    getCenter() {
+        return this.screenToWorld(this.width / 2, this.height / 2);
+    }
+
+    centerOn(x, y) {
+        this.offsetX = this.width / 2 - x * this.scale;
+        this.offsetY = this.height / 2 - y * this.scale;
+    }
+
+    // Scale and centre so the world bounds { minX, minY, maxX, maxY } fill the canvas,
+    // leaving margin pixels on every side
+    fitBounds(bounds, margin = 50) {
+        const boundsWidth = Math.max(bounds.maxX - bounds.minX, 1e-6);
+        const boundsHeight = Math.max(bounds.maxY - bounds.minY, 1e-6);
+        const availableWidth = Math.max(this.width - margin * 2, 1);
+        const availableHeight = Math.max(this.height - margin * 2, 1);
+
+        this.scale = Math.min(availableWidth / boundsWidth, availableHeight / boundsHeight);
+        this.offsetX = (this.width - boundsWidth * this.scale) / 2 - bounds.minX * this.scale;
+        this.offsetY = (this.height - boundsHeight * this.scale) / 2 - bounds.minY * this.scale;
+    }
+}